@@ -0,0 +1,209 @@
+import Admin from '../models/userModel.js';
+import RefreshToken from '../models/refreshTokenModel.js';
+import LoginAttempt from '../models/loginAttemptModel.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import AppError from '../utils/AppError.js';
+import { parseDate } from '../utils/queryHelpers.js';
+import { audit } from '../utils/auditLogger.js';
+
+// Refuse changes that would leave the system without an active super-admin
+const ensureAnotherSuperAdmin = async (admin) => {
+    if (admin.role !== 'super-admin' || !admin.isActive) return;
+
+    const others = await Admin.countDocuments({
+        _id: { $ne: admin._id },
+        role: 'super-admin',
+        isActive: true
+    });
+    if (others === 0) {
+        throw new AppError('At least one active super-admin is required', 400);
+    }
+};
+
+
+const getAllAdmins = asyncHandler(async (req, res, next) => {
+    const { role, active, lastLoginBefore, lastLoginAfter, neverLoggedIn } = req.query;
+    const filter = {};
+
+    if (role) {
+        if (!['admin', 'super-admin'].includes(role)) {
+            return next(new AppError('Role must be either admin or super-admin', 400));
+        }
+        filter.role = role;
+    }
+
+    if (active !== undefined) {
+        filter.isActive = active === 'true';
+    }
+
+    if (neverLoggedIn === 'true') {
+        filter.lastLogin = null;
+    } else {
+        const before = parseDate(lastLoginBefore);
+        const after = parseDate(lastLoginAfter);
+        if (before || after) {
+            filter.lastLogin = {};
+            if (before) filter.lastLogin.$lt = before;
+            if (after) filter.lastLogin.$gte = after;
+        }
+    }
+
+    const admins = await Admin.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        results: admins.length,
+        data: {
+            admins
+        }
+    });
+});
+
+
+const getOneAdmin = asyncHandler(async (req, res, next) => {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+        return next(new AppError('No admin found with that ID', 404));
+    }
+
+    res.json({
+        success: true,
+        data: {
+            admin
+        }
+    });
+});
+
+
+const updateAdminRole = asyncHandler(async (req, res, next) => {
+    const { role } = req.body;
+
+    if (!['admin', 'super-admin'].includes(role)) {
+        return next(new AppError('Role must be either admin or super-admin', 400));
+    }
+
+    if (req.admin._id.equals(req.params.id)) {
+        return next(new AppError('You cannot change your own role', 400));
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+        return next(new AppError('No admin found with that ID', 404));
+    }
+
+    if (admin.role !== role) {
+        if (role === 'admin') {
+            await ensureAnotherSuperAdmin(admin);
+        }
+
+        const before = admin.toObject();
+        admin.role = role;
+        await admin.save({ validateBeforeSave: false });
+
+        await audit(req, { action: 'admin.role_change', targetModel: 'Admin', targetId: admin._id, before, after: admin });
+
+        // Existing sessions carry the old role in their access tokens; make them sign in again
+        await RefreshToken.revokeAllForUser(admin._id);
+    }
+
+    res.json({
+        success: true,
+        message: 'Admin role updated successfully',
+        data: {
+            admin
+        }
+    });
+});
+
+
+const deactivateAdmin = asyncHandler(async (req, res, next) => {
+    if (req.admin._id.equals(req.params.id)) {
+        return next(new AppError('You cannot deactivate your own account', 400));
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+        return next(new AppError('No admin found with that ID', 404));
+    }
+
+    await ensureAnotherSuperAdmin(admin);
+
+    const before = admin.toObject();
+    admin.isActive = false;
+    await admin.save({ validateBeforeSave: false });
+
+    await audit(req, { action: 'admin.deactivate', targetModel: 'Admin', targetId: admin._id, before, after: admin });
+
+    // Sign the account out everywhere straight away; `protect` rejects its access tokens too
+    await RefreshToken.revokeAllForUser(admin._id);
+
+    res.json({
+        success: true,
+        message: 'Admin deactivated successfully',
+        data: {
+            admin
+        }
+    });
+});
+
+
+const reactivateAdmin = asyncHandler(async (req, res, next) => {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+        return next(new AppError('No admin found with that ID', 404));
+    }
+
+    const before = admin.toObject();
+    admin.isActive = true;
+    await admin.save({ validateBeforeSave: false });
+
+    await audit(req, { action: 'admin.reactivate', targetModel: 'Admin', targetId: admin._id, before, after: admin });
+
+    res.json({
+        success: true,
+        message: 'Admin reactivated successfully',
+        data: {
+            admin
+        }
+    });
+});
+
+
+const unlockAdmin = asyncHandler(async (req, res, next) => {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+        return next(new AppError('No admin found with that ID', 404));
+    }
+
+    const result = await LoginAttempt.clear('account', admin.email);
+
+    await audit(req, {
+        action: 'admin.unlock',
+        targetModel: 'Admin',
+        targetId: admin._id,
+        metadata: { wasLocked: result.deletedCount > 0 }
+    });
+
+    res.json({
+        success: true,
+        message: result.deletedCount > 0
+            ? 'Admin account unlocked successfully'
+            : 'Admin account was not locked',
+        data: {
+            admin
+        }
+    });
+});
+
+
+export {
+    getAllAdmins,
+    getOneAdmin,
+    updateAdminRole,
+    deactivateAdmin,
+    reactivateAdmin,
+    unlockAdmin
+};
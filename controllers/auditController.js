@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/auditLogModel.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import AppError from '../utils/AppError.js';
+import { parseDate, escapeRegex, parsePagination } from '../utils/queryHelpers.js';
+
+
+const getAuditLogs = asyncHandler(async (req, res, next) => {
+    const { actor, action, targetModel, targetId, from, to } = req.query;
+    const filter = {};
+
+    for (const [name, value] of [['actor', actor], ['targetId', targetId]]) {
+        if (value === undefined) continue;
+        if (!mongoose.isValidObjectId(value)) {
+            return next(new AppError(`Invalid ${name}: ${value}.`, 400));
+        }
+        filter[name] = value;
+    }
+
+    if (action) {
+        // `auth.*` matches every action in the auth namespace
+        filter.action = String(action).endsWith('.*')
+            ? { $regex: `^${escapeRegex(String(action).slice(0, -2))}\\.` }
+            : String(action);
+    }
+
+    if (targetModel) {
+        filter.targetModel = String(targetModel);
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate || toDate) {
+        filter.createdAt = {};
+        if (fromDate) filter.createdAt.$gte = fromDate;
+        if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+            .populate('actor', 'name email role')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+        success: true,
+        results: logs.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        data: {
+            logs
+        }
+    });
+});
+
+
+export {
+    getAuditLogs
+};
@@ -1,10 +1,24 @@
 import Admin from '../models/userModel.js';
 import RefreshToken from '../models/refreshTokenModel.js';
+import Invitation from '../models/invitationModel.js';
+import LoginAttempt from '../models/loginAttemptModel.js';
 import sendEmail from '../utils/emailService.js';
+import { renderTemplate } from '../utils/emailTemplates/index.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import AppError from '../utils/AppError.js';
+import * as totp from '../utils/totp.js';
+import { audit } from '../utils/auditLogger.js';
 import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+// JWT `purpose` claim of the short-lived token issued between password and 2FA code
+const TWO_FACTOR_CHALLENGE = '2fa-challenge';
+
+// bcrypt hash (cost 12, like real passwords) compared against when the email is
+// unknown, so both cases take the same time and return the same response
+const DUMMY_PASSWORD_HASH = '$2a$12$G2bjCdBL5CGp8JDdGSb4Ee5c2iarpmTnzDiqKjRHNOMZLEI.Zdd9i';
 
 // Authentication Middleware Functions
 // Protect routes - verify access token
@@ -30,6 +44,11 @@ const protect = asyncHandler(async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // 2FA challenge tokens share the secret but must never grant access
+        if (decoded.purpose) {
+            return next(new AppError('Token is not valid', 401));
+        }
+
         // Get admin from token
         const admin = await Admin.findById(decoded.id).select('-password');
 
@@ -61,10 +80,11 @@ const verifyRefreshToken = asyncHandler(async (req, res, next) => {
     }
 
     try {
-        // Find valid refresh token in database
-        const tokenDoc = await RefreshToken.findValidToken(refreshToken);
+        // Rotated tokens are let through so refreshToken can treat them as reuse;
+        // tokens revoked by logging out are simply invalid
+        const tokenDoc = await RefreshToken.findUnexpiredToken(String(refreshToken));
 
-        if (!tokenDoc) {
+        if (!tokenDoc || (tokenDoc.isRevoked && !tokenDoc.rotatedAt)) {
             return next(new AppError('Invalid or expired refresh token', 401));
         }
 
@@ -98,6 +118,12 @@ const authorize = (...roles) => {
     };
 };
 
+// Helper function to describe the device a session is created from
+const getClientInfo = (req) => ({
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+});
+
 // Helper function to set refresh token cookie
 const setRefreshTokenCookie = (res, refreshToken) => {
     // In production we need SameSite='none' and secure=true for cross-site cookies
@@ -134,78 +160,157 @@ const clearRefreshTokenCookie = (res) => {
 };
 
 
+// Registration is invite-only: the invitation decides the email and role
 const register = asyncHandler(async (req, res, next) => {
-    const { name, email, password, role = 'admin' } = req.body;
+    const { token, name, password } = req.body;
+
+    if (!token) {
+        return next(new AppError('A valid invitation is required to register', 403));
+    }
+
+    const invitation = await Invitation.findValidByToken(token);
+    if (!invitation) {
+        return next(new AppError('Invitation is invalid or has expired', 403));
+    }
 
     // Check if admin already exists
-    const existingAdmin = await Admin.findOne({ email });
+    const existingAdmin = await Admin.findOne({ email: invitation.email });
     if (existingAdmin) {
         return next(new AppError('Admin with this email already exists', 400));
     }
 
-    // Create admin (validation handled by mongoose schema)
-    const admin = await Admin.create({
-        name,
-        email,
-        password,
-        role
+    // Atomically consume the invitation so it cannot be used twice
+    const consumed = await Invitation.consume(invitation._id);
+    if (!consumed) {
+        return next(new AppError('Invitation is invalid or has expired', 403));
+    }
+
+    let admin;
+    try {
+        // Create admin (validation handled by mongoose schema)
+        admin = await Admin.create({
+            name,
+            email: invitation.email,
+            password,
+            role: invitation.role
+        });
+    } catch (err) {
+        // Give the invitation back so the invitee can fix their input and retry
+        await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+        throw err;
+    }
+
+    await audit(req, {
+        action: 'admin.register',
+        actor: admin,
+        targetModel: 'Admin',
+        targetId: admin._id,
+        after: admin,
+        metadata: { invitation: invitation._id }
     });
 
     // Generate tokens
     const accessToken = admin.generateAccessToken();
-    const refreshToken = await admin.generateRefreshToken();
+    const refreshToken = await admin.generateRefreshToken(getClientInfo(req));
 
     // Set refresh token as HTTP-only cookie
     setRefreshTokenCookie(res, refreshToken);
 
+    // Remove password from response (convert to plain object and delete password)
+    const adminWithoutPassword = admin.toObject();
+    delete adminWithoutPassword.password;
+
     res.status(201).json({
         success: true,
         message: 'Admin registered successfully',
         data: {
-            admin,
+            admin: adminWithoutPassword,
             accessToken
         }
     });
 });
 
 
-const login = asyncHandler(async (req, res, next) => {
-    const { email, password } = req.body;
+// One-time setup: create the first super-admin. Requires BOOTSTRAP_SECRET to be
+// configured and stops working as soon as any super-admin exists.
+const bootstrap = asyncHandler(async (req, res, next) => {
+    const { secret, name, email, password } = req.body;
+    const expected = process.env.BOOTSTRAP_SECRET;
 
-    // Basic validation
-    if (!email || !password) {
-        return next(new AppError('Email and password are required', 400));
+    if (!expected) {
+        return next(new AppError('Bootstrap is not enabled on this server', 403));
     }
 
-    // Check if admin exists and password is correct
-    const admin = await Admin.findOne({ email }).select('+password');
-    if (!admin) {
-        return next(new AppError('Invalid credentials', 401));
+    const provided = Buffer.from(String(secret || ''));
+    const required = Buffer.from(expected);
+    if (provided.length !== required.length || !crypto.timingSafeEqual(provided, required)) {
+        return next(new AppError('Invalid bootstrap secret', 403));
     }
 
-    const isPasswordCorrect = await admin.comparePassword(password);
-    if (!isPasswordCorrect) {
-        return next(new AppError('Invalid credentials', 401));
+    const superAdminExists = await Admin.exists({ role: 'super-admin' });
+    if (superAdminExists) {
+        return next(new AppError('Bootstrap has already been completed', 403));
     }
 
-    if (!admin.isActive) {
-        return next(new AppError('Account is deactivated', 401));
-    }
+    const admin = await Admin.create({
+        name,
+        email,
+        password,
+        role: 'super-admin'
+    });
 
+    await audit(req, {
+        action: 'admin.bootstrap',
+        actor: admin,
+        targetModel: 'Admin',
+        targetId: admin._id,
+        after: admin
+    });
+
+    // Generate tokens
+    const accessToken = admin.generateAccessToken();
+    const refreshToken = await admin.generateRefreshToken(getClientInfo(req));
+
+    // Set refresh token as HTTP-only cookie
+    setRefreshTokenCookie(res, refreshToken);
+
+    // Remove password from response (convert to plain object and delete password)
+    const adminWithoutPassword = admin.toObject();
+    delete adminWithoutPassword.password;
+
+    res.status(201).json({
+        success: true,
+        message: 'Super-admin created successfully',
+        data: {
+            admin: adminWithoutPassword,
+            accessToken
+        }
+    });
+});
+
+
+// Helper function to finish a successful sign-in: record it, issue both tokens
+// and send the admin profile without any secret fields
+const completeLogin = async (admin, req, res) => {
     // Update last login
     admin.lastLogin = new Date();
     await admin.save();
 
+    await audit(req, { action: 'auth.login', actor: admin, targetModel: 'Admin', targetId: admin._id });
+
     // Generate tokens
     const accessToken = admin.generateAccessToken();
-    const refreshToken = await admin.generateRefreshToken();
+    const refreshToken = await admin.generateRefreshToken(getClientInfo(req));
 
     // Set refresh token as HTTP-only cookie
     setRefreshTokenCookie(res, refreshToken);
 
-    // Remove password from response (convert to plain object and delete password)
+    // Remove password and 2FA secrets from response (convert to plain object and delete them)
     const adminWithoutPassword = admin.toObject();
     delete adminWithoutPassword.password;
+    delete adminWithoutPassword.twoFactorSecret;
+    delete adminWithoutPassword.twoFactorRecoveryCodes;
+    delete adminWithoutPassword.twoFactorLastUsedStep;
 
     res.json({
         success: true,
@@ -215,6 +320,175 @@ const login = asyncHandler(async (req, res, next) => {
             accessToken
         }
     });
+};
+
+// Helper function to check a TOTP code or, failing that, a recovery code.
+// Marks the code as used on the document; the caller must save the admin.
+const verifySecondFactor = (admin, { code, recoveryCode }) => {
+    if (code) {
+        const step = totp.verifyToken(admin.twoFactorSecret, code);
+        if (step === null || (admin.twoFactorLastUsedStep !== undefined && step <= admin.twoFactorLastUsedStep)) {
+            return false;
+        }
+        admin.twoFactorLastUsedStep = step;
+        return true;
+    }
+
+    if (recoveryCode) {
+        return admin.useRecoveryCode(recoveryCode);
+    }
+
+    return false;
+};
+
+// Helper function to record a failed sign-in against the account and the IP,
+// emailing the admin (when the account exists) the moment it gets locked
+const recordLoginFailure = async (req, email, admin) => {
+    const [accountAttempt] = await Promise.all([
+        LoginAttempt.recordFailure('account', email),
+        LoginAttempt.recordFailure('ip', req.ip)
+    ]);
+
+    await audit(req, {
+        action: accountAttempt.justLocked ? 'auth.lockout' : 'auth.login_failed',
+        actor: admin,
+        targetModel: admin ? 'Admin' : undefined,
+        targetId: admin ? admin._id : undefined,
+        metadata: { email, failures: accountAttempt.failures }
+    });
+
+    if (admin && accountAttempt.justLocked) {
+        // Not awaited: the response must not take longer for real accounts
+        sendLockoutEmail(admin, accountAttempt.lockedUntil, req.ip).catch((err) => {
+            console.error('Error sending account lockout email:', err && err.message ? err.message : err);
+        });
+    }
+};
+
+const sendLockoutEmail = async (admin, lockedUntil, ip) => {
+    const { subject, text, html } = renderTemplate('auth.account-locked', {
+        name: admin.name,
+        ip,
+        until: lockedUntil.toLocaleString()
+    });
+
+    await sendEmail({
+        email: admin.email,
+        subject,
+        message: text,
+        html
+    });
+};
+
+// Helper function to reject a sign-in while a delay or lock is active
+const sendLoginBlocked = (res, next, blocked) => {
+    res.set('Retry-After', String(blocked.retryAfter));
+    const message = blocked.locked
+        ? 'Too many failed login attempts. Login is temporarily locked, please try again later.'
+        : `Too many failed login attempts. Please try again in ${blocked.retryAfter} seconds.`;
+    return next(new AppError(message, 429));
+};
+
+
+const login = asyncHandler(async (req, res, next) => {
+    const { email, password } = req.body;
+
+    // Basic validation
+    if (!email || !password) {
+        return next(new AppError('Email and password are required', 400));
+    }
+
+    const normalizedEmail = String(email).toLowerCase();
+
+    // Refuse early while the account or IP is delayed or locked
+    const blocked = await LoginAttempt.getBlock([['account', normalizedEmail], ['ip', req.ip]]);
+    if (blocked) {
+        return sendLoginBlocked(res, next, blocked);
+    }
+
+    // Check if admin exists and password is correct
+    const admin = await Admin.findOne({ email: normalizedEmail }).select('+password');
+    const isPasswordCorrect = admin
+        ? await admin.comparePassword(String(password))
+        : await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+
+    if (!admin || !isPasswordCorrect) {
+        await recordLoginFailure(req, normalizedEmail, admin);
+        return next(new AppError('Invalid credentials', 401));
+    }
+
+    if (!admin.isActive) {
+        return next(new AppError('Account is deactivated', 401));
+    }
+
+    // With 2FA enabled the password only earns a short-lived challenge token;
+    // tokens are issued by verifyTwoFactorLogin once the code is checked. The
+    // failure count is kept until then, so logging in again with the password
+    // cannot reset the lockout that wrong codes are building up.
+    if (admin.twoFactorEnabled) {
+        const challengeToken = jwt.sign(
+            { id: admin._id, purpose: TWO_FACTOR_CHALLENGE },
+            process.env.JWT_SECRET,
+            { expiresIn: '5m' }
+        );
+
+        return res.json({
+            success: true,
+            message: 'Two-factor authentication required',
+            data: {
+                twoFactorRequired: true,
+                challengeToken
+            }
+        });
+    }
+
+    await LoginAttempt.clear('account', normalizedEmail);
+    await completeLogin(admin, req, res);
+});
+
+
+const verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return next(new AppError('Challenge token and a verification code are required', 400));
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+        return next(new AppError('Two-factor challenge is invalid or has expired. Please log in again.', 401));
+    }
+
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+        return next(new AppError('Two-factor challenge is invalid or has expired. Please log in again.', 401));
+    }
+
+    const admin = await Admin.findById(decoded.id)
+        .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!admin || !admin.twoFactorEnabled) {
+        return next(new AppError('Two-factor challenge is invalid or has expired. Please log in again.', 401));
+    }
+
+    if (!admin.isActive) {
+        return next(new AppError('Account is deactivated', 401));
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const blocked = await LoginAttempt.getBlock([['account', admin.email], ['ip', req.ip]]);
+    if (blocked) {
+        return sendLoginBlocked(res, next, blocked);
+    }
+
+    if (!verifySecondFactor(admin, { code, recoveryCode })) {
+        await recordLoginFailure(req, admin.email, admin);
+        return next(new AppError('Invalid verification code', 401));
+    }
+
+    await LoginAttempt.clear('account', admin.email);
+    await completeLogin(admin, req, res);
 });
 
 
@@ -233,6 +507,7 @@ const refreshToken = asyncHandler(async (req, res, next) => {
         } catch (err) {
             console.error('Error revoking all tokens after reuse detection:', err && err.message ? err.message : err);
         }
+        await audit(req, { action: 'auth.token_reuse', actor: admin, targetModel: 'Admin', targetId: admin._id });
         return next(new AppError('Refresh token reuse detected. All sessions revoked. Please log in again.', 401));
     }
 
@@ -242,7 +517,7 @@ const refreshToken = asyncHandler(async (req, res, next) => {
             // Attempt an atomic update: set isRevoked = true only if it was false
             const consumed = await RefreshToken.findOneAndUpdate(
                 { token: tokenDoc.token, isRevoked: false },
-                { isRevoked: true },
+                { isRevoked: true, rotatedAt: new Date() },
                 { new: true }
             );
 
@@ -253,6 +528,7 @@ const refreshToken = asyncHandler(async (req, res, next) => {
                 } catch (err) {
                     console.error('Error revoking all tokens after atomic consume failure:', err && err.message ? err.message : err);
                 }
+                await audit(req, { action: 'auth.token_reuse', actor: admin, targetModel: 'Admin', targetId: admin._id });
                 return next(new AppError('Refresh token reuse detected. All sessions revoked. Please log in again.', 401));
             }
         } else if (oldRefreshToken) {
@@ -264,7 +540,8 @@ const refreshToken = asyncHandler(async (req, res, next) => {
     }
 
     // Issue a new refresh token and persist it via the Admin model method
-    const newRefreshToken = await admin.generateRefreshToken();
+    // The new token continues the same session
+    const newRefreshToken = await admin.generateRefreshToken(getClientInfo(req), tokenDoc);
 
     // Set the new refresh token as an HTTP-only cookie so the client retains it
     setRefreshTokenCookie(res, newRefreshToken);
@@ -293,6 +570,8 @@ const logout = asyncHandler(async (req, res) => {
     // Clear the refresh token cookie
     clearRefreshTokenCookie(res);
 
+    await audit(req, { action: 'auth.logout', targetModel: 'Admin', targetId: req.admin._id });
+
     res.json({
         success: true,
         message: 'Logged out successfully'
@@ -300,11 +579,332 @@ const logout = asyncHandler(async (req, res) => {
 });
 
 
+const forgotPassword = asyncHandler(async (req, res, next) => {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+        return next(new AppError('Email is required', 400));
+    }
+
+    // Always answer with the same message so the endpoint cannot be used
+    // to discover which emails belong to an admin account
+    const genericResponse = {
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent'
+    };
+
+    const admin = await Admin.findOne({ email: String(email).toLowerCase() });
+    if (!admin || !admin.isActive) {
+        return res.json(genericResponse);
+    }
+
+    const resetToken = admin.createPasswordResetToken();
+    await admin.save({ validateBeforeSave: false });
+
+    await audit(req, { action: 'auth.password_reset_requested', actor: admin, targetModel: 'Admin', targetId: admin._id });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const resetUrl = `${frontendUrl}/reset-password/${resetToken}`;
+
+    try {
+        const { subject, text, html } = renderTemplate('auth.password-reset', { name: admin.name, resetUrl, minutes: 10 });
+
+        await sendEmail({
+            email: admin.email,
+            subject,
+            message: text,
+            html
+        });
+    } catch (err) {
+        // Do not leave a usable token behind if the email never went out
+        admin.passwordResetToken = undefined;
+        admin.passwordResetExpires = undefined;
+        await admin.save({ validateBeforeSave: false });
+
+        // Failing only for real accounts would reveal which emails exist
+        console.error('Error sending password reset email:', err.message || err);
+    }
+
+    res.json(genericResponse);
+});
+
+
+const resetPassword = asyncHandler(async (req, res, next) => {
+    const { password } = req.body;
+
+    if (!password) {
+        return next(new AppError('Password is required', 400));
+    }
+
+    const hashedToken = crypto
+        .createHash('sha256')
+        .update(req.params.token)
+        .digest('hex');
+
+    // The token fields are selected so clearing them below is saved
+    const admin = await Admin.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: Date.now() }
+    }).select('+passwordResetToken +passwordResetExpires');
+
+    if (!admin) {
+        return next(new AppError('Password reset token is invalid or has expired', 400));
+    }
+
+    // Password is hashed by the pre-save hook (validation handled by mongoose schema)
+    admin.password = password;
+    admin.passwordResetToken = undefined;
+    admin.passwordResetExpires = undefined;
+    await admin.save();
+
+    // Sign out every existing session; the admin must log in with the new password
+    await RefreshToken.revokeAllForUser(admin._id);
+    await LoginAttempt.clear('account', admin.email);
+    clearRefreshTokenCookie(res);
+
+    await audit(req, { action: 'auth.password_reset', actor: admin, targetModel: 'Admin', targetId: admin._id });
+
+    res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
+    });
+});
+
+
+// Session management
+// Every valid refresh token is one signed-in device
+const getMySessions = asyncHandler(async (req, res) => {
+    const currentToken = req.cookies.refreshToken;
+    const tokens = await RefreshToken.findActiveForUser(req.admin._id);
+
+    // Never expose the raw refresh tokens; the session id stays the same across
+    // refreshes (older tokens fall back to their own id)
+    const sessions = tokens.map((t) => ({
+        id: t.sessionId || t._id,
+        userAgent: t.userAgent,
+        ip: t.ip,
+        createdAt: t.sessionStartedAt || t.createdAt,
+        lastUsedAt: t.lastUsedAt,
+        expiresAt: t.expiresAt,
+        current: Boolean(currentToken) && t.token === currentToken
+    }));
+
+    res.json({
+        success: true,
+        results: sessions.length,
+        data: {
+            sessions
+        }
+    });
+});
+
+
+const revokeSession = asyncHandler(async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return next(new AppError('No active session found with that ID', 404));
+    }
+
+    const tokenDoc = await RefreshToken.findOneAndUpdate(
+        { $or: [{ sessionId: req.params.id }, { _id: req.params.id }], user: req.admin._id, isRevoked: false },
+        { isRevoked: true },
+        { new: true }
+    );
+
+    if (!tokenDoc) {
+        return next(new AppError('No active session found with that ID', 404));
+    }
+
+    // Revoking the session this request came from is the same as logging out
+    if (tokenDoc.token === req.cookies.refreshToken) {
+        clearRefreshTokenCookie(res);
+    }
+
+    await audit(req, { action: 'auth.session_revoked', targetModel: 'RefreshToken', targetId: tokenDoc._id });
+
+    res.json({
+        success: true,
+        message: 'Session revoked successfully'
+    });
+});
+
+
+const logoutOtherSessions = asyncHandler(async (req, res, next) => {
+    const currentToken = req.cookies.refreshToken;
+
+    if (!currentToken) {
+        return next(new AppError('Refresh token is required', 400));
+    }
+
+    const result = await RefreshToken.revokeAllForUser(req.admin._id, currentToken);
+
+    await audit(req, {
+        action: 'auth.logout_other_sessions',
+        targetModel: 'Admin',
+        targetId: req.admin._id,
+        metadata: { revokedCount: result.modifiedCount }
+    });
+
+    res.json({
+        success: true,
+        message: 'Logged out of all other sessions',
+        data: {
+            revokedCount: result.modifiedCount
+        }
+    });
+});
+
+
+// Two-factor authentication management
+const setupTwoFactor = asyncHandler(async (req, res, next) => {
+    if (req.admin.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUri = totp.buildOtpauthUri({
+        secret,
+        accountName: req.admin.email,
+        issuer: process.env.TOTP_ISSUER || 'kayceylon'
+    });
+
+    // The secret is stored but 2FA stays off until a code from it is verified
+    await Admin.updateOne(
+        { _id: req.admin._id },
+        { twoFactorSecret: secret, $unset: { twoFactorLastUsedStep: 1 } }
+    );
+
+    res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then verify a code to enable two-factor authentication',
+        data: {
+            secret,
+            otpauthUri
+        }
+    });
+});
+
+
+const enableTwoFactor = asyncHandler(async (req, res, next) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return next(new AppError('Verification code is required', 400));
+    }
+
+    const admin = await Admin.findById(req.admin._id)
+        .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (admin.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!admin.twoFactorSecret) {
+        return next(new AppError('Start two-factor setup before verifying a code', 400));
+    }
+
+    if (!verifySecondFactor(admin, { code })) {
+        return next(new AppError('Invalid verification code', 400));
+    }
+
+    admin.twoFactorEnabled = true;
+    const recoveryCodes = admin.createRecoveryCodes();
+    await admin.save({ validateBeforeSave: false });
+
+    await audit(req, { action: 'auth.2fa_enabled', targetModel: 'Admin', targetId: admin._id });
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each can be used once.',
+        data: {
+            recoveryCodes
+        }
+    });
+});
+
+
+const disableTwoFactor = asyncHandler(async (req, res, next) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+        return next(new AppError('Password and a verification code are required', 400));
+    }
+
+    const admin = await Admin.findById(req.admin._id)
+        .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!admin.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    const isPasswordCorrect = await admin.comparePassword(password);
+    if (!isPasswordCorrect || !verifySecondFactor(admin, { code, recoveryCode })) {
+        return next(new AppError('Invalid credentials', 401));
+    }
+
+    admin.twoFactorEnabled = false;
+    admin.twoFactorSecret = undefined;
+    admin.twoFactorRecoveryCodes = undefined;
+    admin.twoFactorLastUsedStep = undefined;
+    await admin.save({ validateBeforeSave: false });
+
+    await audit(req, { action: 'auth.2fa_disabled', targetModel: 'Admin', targetId: admin._id });
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+    });
+});
+
+
+const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return next(new AppError('Verification code is required', 400));
+    }
+
+    const admin = await Admin.findById(req.admin._id)
+        .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!admin.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    if (!verifySecondFactor(admin, { code })) {
+        return next(new AppError('Invalid verification code', 400));
+    }
+
+    const recoveryCodes = admin.createRecoveryCodes();
+    await admin.save({ validateBeforeSave: false });
+
+    await audit(req, { action: 'auth.recovery_codes_regenerated', targetModel: 'Admin', targetId: admin._id });
+
+    res.json({
+        success: true,
+        message: 'New recovery codes generated. Previous codes no longer work.',
+        data: {
+            recoveryCodes
+        }
+    });
+});
+
+
 export {
     register,
+    bootstrap,
     login,
+    verifyTwoFactorLogin,
     refreshToken,
     logout,
+    getMySessions,
+    revokeSession,
+    logoutOtherSessions,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    forgotPassword,
+    resetPassword,
     protect,
     verifyRefreshToken,
     authorize
@@ -0,0 +1,201 @@
+import mongoose from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import AppError from "../utils/AppError.js";
+import Blog from "../models/blogModel.js";
+import Category from "../models/categoryModel.js";
+import BlogRevision, { RESTORABLE_FIELDS } from "../models/blogRevisionModel.js";
+import { parsePagination } from "../utils/queryHelpers.js";
+import { diffLines } from "../utils/textDiff.js";
+import { recordRevision } from "../utils/blogRevisions.js";
+import { audit } from "../utils/auditLogger.js";
+
+const findBlog = async (id, next) => {
+    if (!mongoose.isValidObjectId(id)) {
+        next(new AppError(`Invalid id: ${id}.`, 400));
+        return null;
+    }
+    const blog = await Blog.findById(id);
+    if (!blog) {
+        next(new AppError("No blog found with that ID", 404));
+        return null;
+    }
+    return blog;
+};
+
+const findRevision = async (blog, version, next) => {
+    const number = parseInt(version, 10);
+    if (!Number.isInteger(number) || number < 1 || String(number) !== String(version)) {
+        next(new AppError(`Invalid revision: ${version}.`, 400));
+        return null;
+    }
+    const revision = await BlogRevision.findOne({ blog: blog._id, version: number })
+        .populate('editedBy', 'name email');
+    if (!revision) {
+        next(new AppError(`No revision ${number} for this blog`, 404));
+        return null;
+    }
+    return revision;
+};
+
+const revisionInfo = (revision) => ({
+    version: revision.version,
+    reason: revision.reason,
+    restoredFrom: revision.restoredFrom,
+    editedBy: revision.editedBy,
+    createdAt: revision.createdAt
+});
+
+// Items in `b` that are not in `a`, compared by key
+const missingFrom = (a, b, key = (x) => x) => {
+    const keys = new Set(a.map(key));
+    return b.filter((item) => !keys.has(key(item)));
+};
+
+
+// Newest first, without the content; fetch one revision for the full snapshot
+const getBlogRevisions = asyncHandler(async (req, res, next) => {
+    const blog = await findBlog(req.params.id, next);
+    if (!blog) return;
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { blog: blog._id };
+
+    const [revisions, total] = await Promise.all([
+        BlogRevision.find(filter)
+            .sort({ version: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-content')
+            .populate('editedBy', 'name email'),
+        BlogRevision.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        status: "success",
+        results: revisions.length,
+        meta: {
+            total,
+            limit,
+            page,
+            pages: Math.ceil(total / limit)
+        },
+        data: revisions
+    });
+});
+
+
+const getBlogRevision = asyncHandler(async (req, res, next) => {
+    const blog = await findBlog(req.params.id, next);
+    if (!blog) return;
+    const revision = await findRevision(blog, req.params.version, next);
+    if (!revision) return;
+
+    res.status(200).json({
+        status: "success",
+        data: revision
+    });
+});
+
+
+// Changes from revision ?from= to revision ?to=. Only fields that differ are
+// listed; content is diffed line by line.
+const diffBlogRevisions = asyncHandler(async (req, res, next) => {
+    const blog = await findBlog(req.params.id, next);
+    if (!blog) return;
+
+    if (req.query.from === undefined || req.query.to === undefined) {
+        return next(new AppError("Please provide the from and to revisions", 400));
+    }
+    const from = await findRevision(blog, req.query.from, next);
+    if (!from) return;
+    const to = await findRevision(blog, req.query.to, next);
+    if (!to) return;
+
+    const changes = {};
+    for (const field of ['title', 'link', 'status', 'slug']) {
+        if ((from[field] ?? null) !== (to[field] ?? null)) {
+            changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+        }
+    }
+    if (String(from.category ?? '') !== String(to.category ?? '')) {
+        changes.category = { from: from.category ?? null, to: to.category ?? null };
+    }
+
+    const fromTags = from.tags || [];
+    const toTags = to.tags || [];
+    const addedTags = missingFrom(fromTags, toTags);
+    const removedTags = missingFrom(toTags, fromTags);
+    if (addedTags.length > 0 || removedTags.length > 0) {
+        changes.tags = { added: addedTags, removed: removedTags };
+    }
+
+    const fromPhotos = from.photo || [];
+    const toPhotos = to.photo || [];
+    const addedPhotos = missingFrom(fromPhotos, toPhotos, (p) => p.url);
+    const removedPhotos = missingFrom(toPhotos, fromPhotos, (p) => p.url);
+    if (addedPhotos.length > 0 || removedPhotos.length > 0) {
+        changes.photo = { added: addedPhotos, removed: removedPhotos };
+    }
+
+    if ((from.content ?? '') !== (to.content ?? '')) {
+        changes.content = diffLines(from.content, to.content);
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            from: revisionInfo(from),
+            to: revisionInfo(to),
+            changes
+        }
+    });
+});
+
+
+// Put the content of an old revision back. Status, schedule and slug are left
+// as they are; the restore itself is recorded as a new revision.
+const restoreBlogRevision = asyncHandler(async (req, res, next) => {
+    const blog = await findBlog(req.params.id, next);
+    if (!blog) return;
+    const revision = await findRevision(blog, req.params.version, next);
+    if (!revision) return;
+
+    const snapshot = revision.toObject({ depopulate: true });
+    const restored = {};
+    for (const field of RESTORABLE_FIELDS) {
+        restored[field] = snapshot[field];
+    }
+    restored.tags = snapshot.tags || [];
+    // The category may have been deleted since
+    if (revision.category && !(await Category.exists({ _id: revision.category }))) {
+        restored.category = null;
+    }
+
+    const before = blog.toObject();
+    blog.set(restored);
+    await blog.saveWithUniqueSlug();
+
+    const newRevision = await recordRevision(blog, {
+        editedBy: req.admin._id,
+        reason: 'restore',
+        restoredFrom: revision.version
+    });
+
+    await audit(req, {
+        action: 'blog.restore',
+        targetModel: 'Blog',
+        targetId: blog._id,
+        before,
+        after: blog,
+        metadata: { restoredFrom: revision.version, revision: newRevision ? newRevision.version : null }
+    });
+
+    res.status(200).json({
+        status: "success",
+        message: `Restored revision ${revision.version}`,
+        data: blog
+    });
+});
+
+
+export { getBlogRevisions, getBlogRevision, diffBlogRevisions, restoreBlogRevision }
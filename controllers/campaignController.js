@@ -0,0 +1,303 @@
+import mongoose from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import AppError from "../utils/AppError.js";
+import Campaign, { CAMPAIGN_STATUSES, EDITABLE_CAMPAIGN_STATUSES } from "../models/campaignModel.js";
+import CampaignRecipient, { RECIPIENT_STATUSES } from "../models/campaignRecipientModel.js";
+import CallToAction, { EMAIL_REGEX } from "../models/callToAction.js";
+import sendEmail from "../utils/emailService.js";
+import { parseDate, parsePagination } from "../utils/queryHelpers.js";
+import { renderCampaign, processDueCampaigns } from "../utils/campaignSender.js";
+import { audit } from "../utils/auditLogger.js";
+
+// Only these fields can be set from the request body
+const pickCampaignFields = (body) => {
+    const fields = {};
+    for (const key of ['subject', 'html', 'text']) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    if (body.segment !== undefined) {
+        const segment = body.segment || {};
+        fields.segment = {
+            from: parseDate(segment.from),
+            to: parseDate(segment.to),
+            q: segment.q ? String(segment.q) : undefined
+        };
+    }
+    return fields;
+};
+
+const findCampaign = async (id, next) => {
+    if (!mongoose.isValidObjectId(id)) {
+        next(new AppError(`Invalid id: ${id}.`, 400));
+        return null;
+    }
+    const campaign = await Campaign.findById(id);
+    if (!campaign) {
+        next(new AppError("No campaign found with that ID", 404));
+        return null;
+    }
+    return campaign;
+};
+
+const ensureEditable = (campaign, next) => {
+    if (!EDITABLE_CAMPAIGN_STATUSES.includes(campaign.status)) {
+        next(new AppError(`A ${campaign.status} campaign can no longer be changed`, 400));
+        return false;
+    }
+    return true;
+};
+
+// Kick off due campaigns without holding up the response
+const triggerSending = () => {
+    processDueCampaigns().catch((err) => {
+        console.error('[campaigns] Error processing campaigns:', err && err.message ? err.message : err);
+    });
+};
+
+
+const createCampaign = asyncHandler(async (req, res, next) => {
+    const campaign = await Campaign.create({
+        ...pickCampaignFields(req.body),
+        status: 'draft',
+        createdBy: req.admin._id
+    });
+
+    await audit(req, { action: 'campaign.create', targetModel: 'Campaign', targetId: campaign._id, after: campaign });
+
+    res.status(201).json({
+        status: "success",
+        data: campaign
+    });
+});
+
+
+const getAllCampaigns = asyncHandler(async (req, res, next) => {
+    const filter = {};
+    if (CAMPAIGN_STATUSES.includes(req.query.status)) {
+        filter.status = req.query.status;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [campaigns, total] = await Promise.all([
+        Campaign.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-html -text')
+            .populate('createdBy', 'name email'),
+        Campaign.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        status: "success",
+        results: campaigns.length,
+        meta: {
+            total,
+            limit,
+            page,
+            pages: Math.ceil(total / limit)
+        },
+        data: campaigns
+    });
+});
+
+
+const getOneCampaign = asyncHandler(async (req, res, next) => {
+    const campaign = await findCampaign(req.params.id, next);
+    if (!campaign) return;
+
+    await campaign.populate('createdBy', 'name email');
+
+    // Size of the segment right now; once sending starts, stats.total is authoritative
+    const audience = campaign.recipientsPreparedAt
+        ? campaign.stats.total
+        : await CallToAction.countDocuments(campaign.recipientFilter());
+
+    res.status(200).json({
+        status: "success",
+        data: { ...campaign.toObject(), audience }
+    });
+});
+
+
+const updateCampaign = asyncHandler(async (req, res, next) => {
+    const campaign = await findCampaign(req.params.id, next);
+    if (!campaign || !ensureEditable(campaign, next)) return;
+
+    const before = campaign.toObject();
+    campaign.set(pickCampaignFields(req.body));
+    await campaign.save();
+
+    await audit(req, { action: 'campaign.update', targetModel: 'Campaign', targetId: campaign._id, before, after: campaign });
+
+    res.status(200).json({
+        status: "success",
+        data: campaign
+    });
+});
+
+
+// Only campaigns that never started sending can be deleted
+const deleteCampaign = asyncHandler(async (req, res, next) => {
+    const campaign = await findCampaign(req.params.id, next);
+    if (!campaign) return;
+
+    if (campaign.startedAt || campaign.status === 'sending') {
+        return next(new AppError("A campaign that has started sending cannot be deleted", 400));
+    }
+
+    await Campaign.deleteOne({ _id: campaign._id });
+    await CampaignRecipient.deleteMany({ campaign: campaign._id });
+
+    await audit(req, { action: 'campaign.delete', targetModel: 'Campaign', targetId: campaign._id, before: campaign });
+
+    res.status(204).json({
+        status: "success",
+        data: null
+    });
+});
+
+
+// The email as a subscriber would receive it (with a sample unsubscribe link)
+const previewCampaign = asyncHandler(async (req, res, next) => {
+    const campaign = await findCampaign(req.params.id, next);
+    if (!campaign) return;
+
+    const { subject, html, text } = renderCampaign(campaign, req.admin.email);
+
+    res.status(200).json({
+        status: "success",
+        data: { subject, html, text }
+    });
+});
+
+
+// Send the campaign to one address (the admin's own by default) without
+// touching its status or recipients
+const sendTestCampaign = asyncHandler(async (req, res, next) => {
+    const campaign = await findCampaign(req.params.id, next);
+    if (!campaign) return;
+
+    const to = String(req.body.email || req.admin.email).toLowerCase();
+    if (!EMAIL_REGEX.test(to)) {
+        return next(new AppError("Please provide a valid email", 400));
+    }
+
+    const { subject, html, text, unsubscribeUrl } = renderCampaign(campaign, to);
+
+    try {
+        await sendEmail({ email: to, subject: `[Test] ${subject}`, message: text, html, unsubscribeUrl });
+    } catch (err) {
+        console.error('Error sending test campaign:', err.message || err);
+        return next(new AppError('Error sending email. Try again later!', 500));
+    }
+
+    await audit(req, { action: 'campaign.test', targetModel: 'Campaign', targetId: campaign._id, metadata: { to } });
+
+    res.status(200).json({
+        status: "success",
+        message: `Test email sent to ${to}`
+    });
+});
+
+
+// Body: { scheduledAt } in the future, or omit it to send now
+const scheduleCampaign = asyncHandler(async (req, res, next) => {
+    const campaign = await findCampaign(req.params.id, next);
+    if (!campaign || !ensureEditable(campaign, next)) return;
+
+    let scheduledAt = new Date();
+    if (req.body.scheduledAt !== undefined) {
+        scheduledAt = parseDate(req.body.scheduledAt);
+        if (!scheduledAt || scheduledAt.getTime() <= Date.now()) {
+            return next(new AppError("scheduledAt must be a valid date in the future", 400));
+        }
+    }
+
+    const before = campaign.toObject();
+    campaign.status = 'scheduled';
+    campaign.scheduledAt = scheduledAt;
+    await campaign.save();
+
+    await audit(req, { action: 'campaign.schedule', targetModel: 'Campaign', targetId: campaign._id, before, after: campaign });
+
+    if (scheduledAt.getTime() <= Date.now()) {
+        triggerSending();
+    }
+
+    res.status(200).json({
+        status: "success",
+        message: req.body.scheduledAt !== undefined ? "Campaign scheduled" : "Campaign is being sent",
+        data: campaign
+    });
+});
+
+
+// Scheduled campaigns go back to draft; a campaign being sent stops after the current batch
+const cancelCampaign = asyncHandler(async (req, res, next) => {
+    const campaign = await findCampaign(req.params.id, next);
+    if (!campaign) return;
+
+    if (!['scheduled', 'sending'].includes(campaign.status)) {
+        return next(new AppError(`A ${campaign.status} campaign cannot be cancelled`, 400));
+    }
+
+    const before = campaign.toObject();
+    const updated = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: campaign.status },
+        campaign.status === 'scheduled'
+            ? { $set: { status: 'draft' }, $unset: { scheduledAt: 1 } }
+            : { $set: { status: 'cancelled', completedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!updated) {
+        return next(new AppError("The campaign changed status; please reload and try again", 409));
+    }
+
+    await audit(req, { action: 'campaign.cancel', targetModel: 'Campaign', targetId: campaign._id, before, after: updated });
+
+    res.status(200).json({
+        status: "success",
+        data: updated
+    });
+});
+
+
+// Per-recipient delivery status; filter with ?status=pending|sent|failed|skipped
+const getCampaignRecipients = asyncHandler(async (req, res, next) => {
+    const campaign = await findCampaign(req.params.id, next);
+    if (!campaign) return;
+
+    const filter = { campaign: campaign._id };
+    if (RECIPIENT_STATUSES.includes(req.query.status)) {
+        filter.status = req.query.status;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [recipients, total] = await Promise.all([
+        CampaignRecipient.find(filter)
+            .sort({ _id: 1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-campaign'),
+        CampaignRecipient.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        status: "success",
+        results: recipients.length,
+        meta: {
+            total,
+            limit,
+            page,
+            pages: Math.ceil(total / limit)
+        },
+        data: recipients
+    });
+});
+
+
+export { createCampaign, getAllCampaigns, getOneCampaign, updateCampaign, deleteCampaign, previewCampaign, sendTestCampaign, scheduleCampaign, cancelCampaign, getCampaignRecipients }
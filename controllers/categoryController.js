@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import AppError from "../utils/AppError.js";
+import Category from "../models/categoryModel.js";
+import Blog from "../models/blogModel.js";
+import { audit } from "../utils/auditLogger.js";
+
+// Only these fields can be set from the request body
+const pickCategoryFields = (body) => {
+    const fields = {};
+    for (const key of ['name', 'slug', 'description']) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    return fields;
+};
+
+const findCategory = async (id, next) => {
+    if (!mongoose.isValidObjectId(id)) {
+        next(new AppError(`Invalid id: ${id}.`, 400));
+        return null;
+    }
+    const category = await Category.findById(id);
+    if (!category) {
+        next(new AppError("No category found with that ID", 404));
+        return null;
+    }
+    return category;
+};
+
+
+const createCategory = asyncHandler(async (req, res, next) => {
+    const category = await Category.create(pickCategoryFields(req.body));
+
+    await audit(req, { action: 'category.create', targetModel: 'Category', targetId: category._id, after: category });
+
+    res.status(201).json({
+        status: "success",
+        data: category
+    });
+});
+
+
+// Public: every category, alphabetically, with the number of published posts in it
+const getAllCategories = asyncHandler(async (req, res, next) => {
+    const [categories, counts] = await Promise.all([
+        Category.find().sort({ name: 1 }).lean(),
+        Blog.countByCategory()
+    ]);
+    const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    res.status(200).json({
+        status: "success",
+        results: categories.length,
+        data: categories.map((category) => ({
+            ...category,
+            postCount: countById.get(String(category._id)) || 0
+        }))
+    });
+});
+
+
+const updateCategory = asyncHandler(async (req, res, next) => {
+    const category = await findCategory(req.params.id, next);
+    if (!category) return;
+
+    const before = category.toObject();
+    category.set(pickCategoryFields(req.body));
+    await category.save();
+
+    await audit(req, { action: 'category.update', targetModel: 'Category', targetId: category._id, before, after: category });
+
+    res.status(200).json({
+        status: "success",
+        data: category
+    });
+});
+
+
+// Posts in a deleted category are kept and simply become uncategorised
+const deleteCategory = asyncHandler(async (req, res, next) => {
+    const category = await findCategory(req.params.id, next);
+    if (!category) return;
+
+    await Category.deleteOne({ _id: category._id });
+    const { modifiedCount } = await Blog.updateMany({ category: category._id }, { $unset: { category: 1 } });
+
+    await audit(req, {
+        action: 'category.delete',
+        targetModel: 'Category',
+        targetId: category._id,
+        before: category,
+        metadata: { postsUncategorised: modifiedCount }
+    });
+
+    res.status(204).json({
+        status: "success",
+        data: null
+    });
+});
+
+
+export { createCategory, getAllCategories, updateCategory, deleteCategory }
@@ -0,0 +1,44 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import AppError from "../utils/AppError.js";
+import { getTemplate, listTemplates, renderTemplate } from "../utils/emailTemplates/index.js";
+
+
+const getEmailTemplates = asyncHandler(async (req, res, next) => {
+    const templates = listTemplates();
+
+    res.status(200).json({
+        status: "success",
+        results: templates.length,
+        data: templates
+    });
+});
+
+
+// Render a template with its sample data. ?version=n for an older version,
+// ?format=html to get the HTML page itself (e.g. to open in a browser tab)
+const previewEmailTemplate = asyncHandler(async (req, res, next) => {
+    const { name } = req.params;
+    const { version } = req.query;
+
+    const template = getTemplate(name, version);
+    if (!template) {
+        return next(new AppError(`No email template ${name}${version !== undefined ? ` v${version}` : ''}`, 404));
+    }
+
+    const rendered = renderTemplate(name, template.sample, { version: template.version });
+
+    if (req.query.format === 'html') {
+        return res.status(200).type('html').send(rendered.html);
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            ...rendered,
+            sample: template.sample
+        }
+    });
+});
+
+
+export { getEmailTemplates, previewEmailTemplate }
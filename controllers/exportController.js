@@ -0,0 +1,80 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import AppError from "../utils/AppError.js";
+import FormData from "../models/formDataModel.js";
+import CallToAction from "../models/callToAction.js";
+import { streamExport, EXPORT_FORMATS } from "../utils/exporter.js";
+import { audit } from "../utils/auditLogger.js";
+
+const parseFormat = (req) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    return EXPORT_FORMATS[format] ? format : null;
+};
+
+
+// Accepts the same filters as getAllForms (read, status, assignedTo, from, to, q)
+const exportForms = asyncHandler(async (req, res, next) => {
+    const format = parseFormat(req);
+    if (!format) {
+        return next(new AppError("format must be either csv or ndjson", 400));
+    }
+
+    const filter = FormData.buildFilter(req.query);
+
+    await audit(req, { action: 'form.export', targetModel: 'FormData', metadata: { format, filter: req.query } });
+
+    const cursor = FormData.find(filter)
+        .select('-activity -thread -notes')
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor();
+
+    await streamExport(res, cursor, {
+        format,
+        filename: 'form-submissions',
+        columns: [
+            ['id', (d) => d._id],
+            ['name', (d) => d.cNameOrName],
+            ['email', (d) => d.email],
+            ['phone', (d) => d.phone],
+            ['address', (d) => d.address],
+            ['message', (d) => d.message],
+            ['read', (d) => d.read],
+            ['status', (d) => d.status],
+            ['assignedTo', (d) => d.assignedTo],
+            ['createdAt', (d) => d.createdAt]
+        ]
+    });
+});
+
+
+// Accepts the same filters as getAllSubscribers (status, from, to, q)
+const exportSubscribers = asyncHandler(async (req, res, next) => {
+    const format = parseFormat(req);
+    if (!format) {
+        return next(new AppError("format must be either csv or ndjson", 400));
+    }
+
+    const filter = CallToAction.buildFilter(req.query);
+
+    await audit(req, { action: 'subscriber.export', targetModel: 'CallToAction', metadata: { format, filter: req.query } });
+
+    const cursor = CallToAction.find(filter)
+        .sort({ _id: -1 })
+        .lean()
+        .cursor();
+
+    await streamExport(res, cursor, {
+        format,
+        filename: 'subscribers',
+        columns: [
+            ['id', (d) => d._id],
+            ['email', (d) => d.email],
+            ['status', (d) => d.status || 'confirmed'],
+            ['subscribedAt', (d) => d._id.getTimestamp()],
+            ['confirmedAt', (d) => d.confirmedAt]
+        ]
+    });
+});
+
+
+export { exportForms, exportSubscribers }
@@ -0,0 +1,134 @@
+import Admin from '../models/userModel.js';
+import Invitation from '../models/invitationModel.js';
+import sendEmail from '../utils/emailService.js';
+import { renderTemplate } from '../utils/emailTemplates/index.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import AppError from '../utils/AppError.js';
+import { audit } from '../utils/auditLogger.js';
+
+// Invitations are valid for 72 hours unless INVITE_EXPIRE_HOURS is set
+const inviteExpiresInSeconds = () => (parseInt(process.env.INVITE_EXPIRE_HOURS, 10) || 72) * 60 * 60;
+
+
+const createInvitation = asyncHandler(async (req, res, next) => {
+    const { email, role = 'admin' } = req.body;
+
+    if (!email) {
+        return next(new AppError('Email is required', 400));
+    }
+
+    const existingAdmin = await Admin.findOne({ email: String(email).toLowerCase() });
+    if (existingAdmin) {
+        return next(new AppError('Admin with this email already exists', 400));
+    }
+
+    // Validation of email and role handled by mongoose schema
+    const { invitation, plainToken } = await Invitation.createInvitation({
+        email: String(email),
+        role,
+        invitedBy: req.admin._id,
+        expiresIn: inviteExpiresInSeconds()
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const inviteUrl = `${frontendUrl}/accept-invite/${plainToken}`;
+    const expiresAt = invitation.expiresAt.toLocaleString();
+
+    try {
+        const { subject, text, html } = renderTemplate('admin.invitation', {
+            inviterName: req.admin.name,
+            role: invitation.role,
+            inviteUrl,
+            expiresAt
+        });
+
+        await sendEmail({
+            email: invitation.email,
+            subject,
+            message: text,
+            html
+        });
+    } catch (err) {
+        // An invite nobody received should not stay usable
+        invitation.isRevoked = true;
+        await invitation.save();
+
+        return next(new AppError('Error sending email. Try again later!', 500));
+    }
+
+    await audit(req, { action: 'invitation.create', targetModel: 'Invitation', targetId: invitation._id, after: invitation });
+
+    res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: {
+            invitation
+        }
+    });
+});
+
+
+const getAllInvitations = asyncHandler(async (req, res) => {
+    const filter = {};
+
+    // ?status=pending|accepted|revoked|expired
+    const now = new Date();
+    switch (req.query.status) {
+        case 'pending':
+            Object.assign(filter, { acceptedAt: null, isRevoked: false, expiresAt: { $gt: now } });
+            break;
+        case 'accepted':
+            filter.acceptedAt = { $ne: null };
+            break;
+        case 'revoked':
+            filter.isRevoked = true;
+            break;
+        case 'expired':
+            Object.assign(filter, { acceptedAt: null, isRevoked: false, expiresAt: { $lte: now } });
+            break;
+        default:
+            break;
+    }
+
+    const invitations = await Invitation.find(filter)
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        results: invitations.length,
+        data: {
+            invitations
+        }
+    });
+});
+
+
+const revokeInvitation = asyncHandler(async (req, res, next) => {
+    const invitation = await Invitation.findOneAndUpdate(
+        { _id: req.params.id, acceptedAt: null },
+        { isRevoked: true },
+        { new: true }
+    );
+
+    if (!invitation) {
+        return next(new AppError('No pending invitation found with that ID', 404));
+    }
+
+    await audit(req, { action: 'invitation.revoke', targetModel: 'Invitation', targetId: invitation._id });
+
+    res.json({
+        success: true,
+        message: 'Invitation revoked successfully',
+        data: {
+            invitation
+        }
+    });
+});
+
+
+export {
+    createInvitation,
+    getAllInvitations,
+    revokeInvitation
+};
@@ -1,13 +1,24 @@
+import mongoose from "mongoose";
 import asyncHandler from "../utils/asyncHandler.js";
-import FormData from "../models/formDataModel.js";
+import FormData, { FORM_STATUSES } from "../models/formDataModel.js";
+import Admin from "../models/userModel.js";
 import AppError from "../utils/AppError.js";
 import sendEmail from "../utils/emailService.js";
+import { enqueueEmail } from "../utils/mailQueue.js";
+import { renderTemplate } from "../utils/emailTemplates/index.js";
 import CallToAction from "../models/callToAction.js";
-import Blog from "../models/blogModel.js";
+import Suppression from "../models/suppressionModel.js";
+import Blog, { BLOG_STATUSES, normalizeTags } from "../models/blogModel.js";
+import Category from "../models/categoryModel.js";
 import dotenv from "dotenv";
 
 import { singleFileUpload, multiFileUpload } from '../utils/sharedMethods.js';
-import cloudinary from '../utils/cloudinary.js';
+import { audit } from '../utils/auditLogger.js';
+import { signToken, verifyToken } from '../utils/signedTokens.js';
+import { parseDate, parsePagination, encodeCursor, decodeCursor, cursorCondition } from '../utils/queryHelpers.js';
+import { notifyBlogPublished } from '../utils/blogPublisher.js';
+import { parseSearchTerms, highlightExcerpt, plainExcerpt } from '../utils/searchExcerpt.js';
+import { recordRevision, ensureBaselineRevision, deleteRevisions, destroyImages } from '../utils/blogRevisions.js';
 
 
 
@@ -25,7 +36,8 @@ const makeAForm = asyncHandler(async (req, res, next) => {
         email,
         message,
         phone,
-        address
+        address,
+        activity: [{ type: 'submitted' }]
     })
 
     if (!newForm) {
@@ -35,82 +47,48 @@ const makeAForm = asyncHandler(async (req, res, next) => {
     try {
         const receivedAt = new Date().toLocaleString();
 
-        // Professional notification sent to site/admin
-        const adminSubject = `New Form Submission: ${cNameOrName}`;
-        const adminText = `A new form submission was received on ${receivedAt}.
-
-Name/Company Name: ${cNameOrName}
-Email: ${email}
-Phone: ${phone}
-Address: ${address}
-Message: ${message}
-
-Please review and respond as appropriate.`;
-        const adminHtml = `
-                        <div style="font-family: Arial, Helvetica, sans-serif; color: #333;">
-                            <div style="max-width:600px;margin:0 auto;border-radius:8px;overflow:hidden;border:1px solid #e6e6e6;">
-                                    <div style="background: linear-gradient(90deg,#0066cc,#00aaff); padding:20px; color:white; text-align:center;">
-                                    <h2 style="margin:0;font-size:20px;">New Form Submission</h2>
-                                    <div style="font-size:12px;opacity:0.9;">Received: ${receivedAt}</div>
-                                </div>
-                                <div style="padding:20px;background:#ffffff;">
-                                    <h3 style="margin-top:0;color:#222;">Submission details</h3>
-                                    <table style="width:100%;border-collapse:collapse;font-size:14px;color:#444;">
-                                        <tr><td style="padding:6px 0;width:170px;font-weight:600;">Name / Company</td><td style="padding:6px 0;">${cNameOrName}</td></tr>
-                                        <tr><td style="padding:6px 0;font-weight:600;">Email</td><td style="padding:6px 0;"><a href="mailto:${email}" style="color:#0066cc;text-decoration:none;">${email}</a></td></tr>
-                                        <tr><td style="padding:6px 0;font-weight:600;">Phone</td><td style="padding:6px 0;">${phone}</td></tr>
-                                        <tr><td style="padding:6px 0;font-weight:600;">Address</td><td style="padding:6px 0;">${address}</td></tr>
-                                    </table>
-
-                                    <h4 style="margin-bottom:8px;margin-top:16px;color:#222;">Message</h4>
-                                    <div style="padding:12px;background:#f9f9f9;border-radius:6px;border:1px solid #f0f0f0;color:#333;">${message.replace(/\n/g, '<br/>')}</div>
-
-                                    <p style="margin-top:18px;color:#666;">Please follow up with the submitter as necessary.</p>
-                                </div>
-                                <div style="background:#fafafa;padding:12px 20px;text-align:center;font-size:12px;color:#888;">&copy; ${new Date().getFullYear()} kayceylon</div>
-                            </div>
-                        </div>
-                `;
-
-        await sendEmail({
+        // Notification sent to site/admin
+        const adminEmail = renderTemplate('form.notification', { cNameOrName, email, phone, address, message, receivedAt });
+        await enqueueEmail('form.notification', {
             email: process.env.EMAIL_USER,
-            subject: adminSubject,
-            message: adminText,
-            html: adminHtml
+            subject: adminEmail.subject,
+            message: adminEmail.text,
+            html: adminEmail.html
         });
 
         // Polite confirmation sent to the user who submitted the form
-        const userSubject = 'Thank you for contacting us';
-        const userText = `Dear ${cNameOrName},\n\nThank you for reaching out to us. We have received your message submitted on ${receivedAt} and will respond to you within 2 business days. Below is a copy of your submission:\n\nMessage: ${message}\n\nIf you need immediate assistance, please reply to this email or contact us at ${process.env.EMAIL_USER}.\n\nRegards,\nThe Team`;
-        const userHtml = `
-                        <div style="font-family: Arial, Helvetica, sans-serif; color:#333;">
-                            <div style="max-width:600px;margin:0 auto;border-radius:8px;overflow:hidden;border:1px solid #e6e6e6;">
-                                <div style="background: linear-gradient(90deg,#00aaff,#0066cc); padding:18px; color:white; text-align:center;">
-                                    <h2 style="margin:0;font-size:18px;">Thank you for contacting kayceylon</h2>
-                                </div>
-                                <div style="padding:20px;background:#fff;">
-                                    <p>Dear ${cNameOrName},</p>
-                                    <p>We have received your message submitted on <strong>${receivedAt}</strong>. Our team will review your submission and respond within <strong>2 business days</strong>.</p>
-                                    <h4 style="margin-bottom:8px;margin-top:12px;color:#222;">Your message</h4>
-                                    <div style="padding:12px;background:#f7fbff;border-radius:6px;border:1px solid #e6f2ff;color:#333;">${message.replace(/\n/g, '<br/>')}</div>
-                                    <p style="margin-top:16px;color:#666;">If you need immediate assistance, reply to this email or contact us at <a href="mailto:${process.env.EMAIL_USER}" style="color:#0066cc;text-decoration:none;">${process.env.EMAIL_USER}</a>.</p>
-                                    <p style="margin-top:12px;">Regards,<br/><strong>kayceylon Team</strong></p>
-                                </div>
-                                <div style="background:#fafafa;padding:12px 20px;text-align:center;font-size:12px;color:#888;">&copy; ${new Date().getFullYear()} kayceylon</div>
-                            </div>
-                        </div>
-                `;
+        const userEmail = renderTemplate('form.confirmation', {
+            cNameOrName,
+            message,
+            receivedAt,
+            contactEmail: process.env.EMAIL_USER
+        });
 
-        await sendEmail({
+        // The confirmation starts the conversation thread with the submitter
+        const confirmationId = newForm.newMessageId();
+        await enqueueEmail('form.confirmation', {
             email: email,
-            subject: userSubject,
-            message: userText,
-            html: userHtml
+            subject: userEmail.subject,
+            message: userEmail.text,
+            html: userEmail.html,
+            messageId: confirmationId,
+            replyTo: process.env.EMAIL_REPLY_TO || process.env.EMAIL_USER
+        });
+
+        newForm.thread.push({
+            direction: 'outbound',
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject: userEmail.subject,
+            text: userEmail.text,
+            messageId: confirmationId
         });
+        await newForm.save();
 
     } catch (err) {
-        console.error(' Email send error:', err.message || err);
-        return next(new AppError('Error sending email. Try again later!', 500));
+        // The submission is saved; failing here would only make the client
+        // submit it again
+        console.error('Error queueing form emails:', err.message || err);
     }
 
 
@@ -123,28 +101,313 @@ Please review and respond as appropriate.`;
 })
 
 
+// Fields the inbox listing may be sorted by
+const FORM_SORT_FIELDS = ['createdAt', 'updatedAt', 'cNameOrName', 'email', 'read'];
+
 const getAllForms = asyncHandler(async (req, res, next) => {
-    const forms = await FormData.find().sort({ createdAt: -1 });
+    const filter = FormData.buildFilter(req.query);
+
+    // sort=-createdAt (default), sort=email, ...
+    const sortParam = String(req.query.sort || '-createdAt');
+    const sortField = sortParam.replace(/^-/, '');
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+    if (!FORM_SORT_FIELDS.includes(sortField)) {
+        return next(new AppError(`Cannot sort by ${sortField}`, 400));
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    let query;
+
+    if (req.query.cursor) {
+        // Cursor pagination is only stable on the date sort
+        if (sortField !== 'createdAt') {
+            return next(new AppError("Cursor pagination requires sorting by createdAt", 400));
+        }
+        const cursor = decodeCursor(req.query.cursor);
+        if (!cursor) {
+            return next(new AppError("Invalid cursor", 400));
+        }
+        query = FormData.find({ $and: [filter, cursorCondition('createdAt', cursor, direction, (v) => new Date(v))] });
+    } else {
+        query = FormData.find(filter).skip(skip);
+    }
+
+    // The unread count ignores the read filter so the inbox badge stays meaningful
+    const { read, ...unreadFilter } = filter;
+
+    const [forms, total, unread] = await Promise.all([
+        query.sort({ [sortField]: direction, _id: direction })
+            .limit(limit)
+            .select('-activity -thread')
+            .populate('assignedTo', 'name email'),
+        FormData.countDocuments(filter),
+        FormData.countDocuments({ ...unreadFilter, read: false })
+    ]);
+
+    const last = forms[forms.length - 1];
+    const nextCursor = sortField === 'createdAt' && forms.length === limit
+        ? encodeCursor(last.createdAt, last._id)
+        : null;
 
     res.status(200).json({
         status: "success",
         results: forms.length,
+        meta: {
+            total,
+            unread,
+            limit,
+            ...(req.query.cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+            nextCursor
+        },
         data: forms
     });
 });
 
+// Viewing a submission no longer marks it as read; use markFormRead/markFormUnread
 const getOneForm = asyncHandler(async (req, res, next) => {
+    const form = await FormData.findById(req.params.id)
+        .select('-activity')
+        .populate('assignedTo', 'name email')
+        .populate('notes.author', 'name email');
+
+    if (!form) {
+        return next(new AppError("No form found with that ID", 404));
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: form
+    });
+});
+
+
+// Shared implementation of markFormRead / markFormUnread
+const setFormRead = (read) => asyncHandler(async (req, res, next) => {
+    const form = await FormData.findById(req.params.id);
+
+    if (!form) {
+        return next(new AppError("No form found with that ID", 404));
+    }
+
+    if (form.read !== read) {
+        const before = form.toObject();
+        form.read = read;
+        form.logActivity(req.admin, read ? 'marked_read' : 'marked_unread');
+        await form.save();
+
+        await audit(req, { action: read ? 'form.mark_read' : 'form.mark_unread', targetModel: 'FormData', targetId: form._id, before, after: form });
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: form
+    });
+});
+
+const markFormRead = setFormRead(true);
+const markFormUnread = setFormRead(false);
+
+
+const updateFormStatus = asyncHandler(async (req, res, next) => {
+    const { status } = req.body;
+
+    if (!FORM_STATUSES.includes(status)) {
+        return next(new AppError(`Status must be one of: ${FORM_STATUSES.join(', ')}`, 400));
+    }
+
+    const form = await FormData.findById(req.params.id);
+
+    if (!form) {
+        return next(new AppError("No form found with that ID", 404));
+    }
+
+    if (form.status !== status) {
+        const before = form.toObject();
+        form.logActivity(req.admin, 'status_changed', { from: form.status, to: status });
+        form.status = status;
+        await form.save();
+
+        await audit(req, { action: 'form.status_change', targetModel: 'FormData', targetId: form._id, before, after: form });
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: form
+    });
+});
+
+
+const assignForm = asyncHandler(async (req, res, next) => {
+    // `adminId: null` removes the assignment
+    const { adminId } = req.body;
+
+    let assignee = null;
+    if (adminId) {
+        assignee = await Admin.findOne({ _id: adminId, isActive: true });
+        if (!assignee) {
+            return next(new AppError("No active admin found with that ID", 404));
+        }
+    }
+
+    const form = await FormData.findById(req.params.id);
+
+    if (!form) {
+        return next(new AppError("No form found with that ID", 404));
+    }
+
+    const previous = form.assignedTo ? String(form.assignedTo) : null;
+    const nextAssignee = assignee ? String(assignee._id) : null;
+
+    if (previous !== nextAssignee) {
+        const before = form.toObject();
+        form.assignedTo = assignee ? assignee._id : null;
+        form.logActivity(req.admin, assignee ? 'assigned' : 'unassigned', {
+            from: previous,
+            to: nextAssignee
+        });
+        await form.save();
+
+        await audit(req, { action: 'form.assign', targetModel: 'FormData', targetId: form._id, before, after: form });
+    }
+
+    await form.populate('assignedTo', 'name email');
+
+    res.status(200).json({
+        status: "success",
+        data: form
+    });
+});
+
+
+const addFormNote = asyncHandler(async (req, res, next) => {
+    const { body } = req.body;
+
+    if (!body || !String(body).trim()) {
+        return next(new AppError("Note text is required", 400));
+    }
+
     const form = await FormData.findById(req.params.id);
 
     if (!form) {
         return next(new AppError("No form found with that ID", 404));
     }
+
+    form.notes.push({ author: req.admin._id, body: String(body) });
+    const note = form.notes[form.notes.length - 1];
+    form.logActivity(req.admin, 'note_added', { note: note._id });
+    await form.save();
+
+    await audit(req, { action: 'form.note_add', targetModel: 'FormData', targetId: form._id, metadata: { note: note._id } });
+
+    res.status(201).json({
+        status: "success",
+        data: note
+    });
+});
+
+
+// Send an email reply to the submitter and keep it on the submission's thread
+const replyToForm = asyncHandler(async (req, res, next) => {
+    const { message } = req.body;
+
+    if (!message || !String(message).trim()) {
+        return next(new AppError("Reply message is required", 400));
+    }
+
+    const form = await FormData.findById(req.params.id);
+
+    if (!form) {
+        return next(new AppError("No form found with that ID", 404));
+    }
+
+    const text = String(message);
+    const rendered = renderTemplate('form.reply', { cNameOrName: form.cNameOrName, message: text, adminName: req.admin.name });
+    const subject = req.body.subject ? String(req.body.subject) : rendered.subject;
+    const { html } = rendered;
+
+    // Thread the reply under everything already sent in this conversation
+    const previousIds = form.thread.map((m) => m.messageId).filter(Boolean);
+    const messageId = form.newMessageId();
+    const inReplyTo = previousIds[previousIds.length - 1];
+
+    try {
+        await sendEmail({
+            email: form.email,
+            subject,
+            message: rendered.text,
+            html,
+            messageId,
+            inReplyTo,
+            references: previousIds,
+            replyTo: process.env.EMAIL_REPLY_TO || process.env.EMAIL_USER
+        });
+    } catch (err) {
+        console.error('Error sending form reply:', err.message || err);
+        return next(new AppError('Error sending email. Try again later!', 500));
+    }
+
+    const before = form.toObject();
+    form.thread.push({
+        direction: 'outbound',
+        from: process.env.EMAIL_USER,
+        to: form.email,
+        subject,
+        text,
+        html,
+        messageId,
+        inReplyTo,
+        references: previousIds,
+        sentBy: req.admin._id
+    });
+    const entry = form.thread[form.thread.length - 1];
+
+    form.logActivity(req.admin, 'replied', { messageId });
+    if (form.status !== 'replied') {
+        form.logActivity(req.admin, 'status_changed', { from: form.status, to: 'replied' });
+        form.status = 'replied';
+    }
     form.read = true;
     await form.save();
 
+    await audit(req, { action: 'form.reply', targetModel: 'FormData', targetId: form._id, before, after: form, metadata: { messageId } });
+
+    res.status(201).json({
+        status: "success",
+        data: entry
+    });
+});
+
+
+const getFormThread = asyncHandler(async (req, res, next) => {
+    const form = await FormData.findById(req.params.id)
+        .select('thread')
+        .populate('thread.sentBy', 'name email');
+
+    if (!form) {
+        return next(new AppError("No form found with that ID", 404));
+    }
+
     res.status(200).json({
         status: "success",
-        data: form
+        results: form.thread.length,
+        data: form.thread
+    });
+});
+
+
+const getFormActivity = asyncHandler(async (req, res, next) => {
+    const form = await FormData.findById(req.params.id)
+        .select('activity')
+        .populate('activity.actor', 'name email');
+
+    if (!form) {
+        return next(new AppError("No form found with that ID", 404));
+    }
+
+    res.status(200).json({
+        status: "success",
+        results: form.activity.length,
+        data: form.activity
     });
 });
 
@@ -156,6 +419,8 @@ const deleteForm = asyncHandler(async (req, res, next) => {
         return next(new AppError("No form found with that ID", 404));
     }
 
+    await audit(req, { action: 'form.delete', targetModel: 'FormData', targetId: form._id, before: form });
+
 
 
     res.status(204).json({
@@ -166,6 +431,28 @@ const deleteForm = asyncHandler(async (req, res, next) => {
 
 
 
+// Hours a subscriber has to confirm before the pending entry expires
+const confirmWindowHours = () => parseInt(process.env.SUBSCRIPTION_CONFIRM_HOURS, 10) || 48;
+
+const sendSubscriptionConfirmation = async (subscriber) => {
+    const hours = confirmWindowHours();
+    const token = signToken('subscription-confirm', { sub: String(subscriber._id), email: subscriber.email }, `${hours}h`);
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const confirmUrl = `${frontendUrl}/confirm-subscription/${token}`;
+
+    const { subject, text, html } = renderTemplate('subscription.confirm', { confirmUrl, hours });
+
+    await enqueueEmail('subscription.confirm', {
+        email: subscriber.email,
+        subject,
+        message: text,
+        html,
+        replyTo: process.env.EMAIL_USER
+    });
+};
+
+
+// Subscriptions start pending; only a confirmed address receives updates
 const callToAction = asyncHandler(async (req, res, next) => {
     const { email } = req.body;
 
@@ -173,70 +460,201 @@ const callToAction = asyncHandler(async (req, res, next) => {
         return next(new AppError("Email is required", 400));
     }
 
-    try {
-        const newCallToAction = await CallToAction.create({ email });
+    const expiresAt = new Date(Date.now() + confirmWindowHours() * 60 * 60 * 1000);
+    let subscriber = await CallToAction.findOne({ email: String(email).toLowerCase() });
 
-        if (!newCallToAction) {
-            return next(new AppError("Failed to create subscription", 500));
+    // A missing status means the subscriber predates opt-in and is confirmed
+    if (subscriber && subscriber.status !== 'pending') {
+        return next(new AppError('Email is already subscribed', 400));
+    }
+
+    try {
+        if (subscriber) {
+            // Signing up again while pending just sends a fresh link
+            subscriber.expiresAt = expiresAt;
+            await subscriber.save();
+        } else {
+            subscriber = await CallToAction.create({ email, status: 'pending', expiresAt });
         }
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new AppError('Email is already subscribed', 400));
+        }
+        throw err;
+    }
 
-        // Send a concise, professional subscription confirmation to the user
-        const subSubject = 'Subscription Confirmed — kayceylon';
-        const contactEmail = process.env.EMAIL_USER || 'support@kayceylon';
-        const subText = `Hello,
+    await sendSubscriptionConfirmation(subscriber);
 
-Thank you for subscribing to kayceylon. You have been added to our mailing list and will receive occasional, carefully selected updates about new articles, guides, and announcements.
+    res.status(201).json({
+        status: "success",
+        message: "Please check your email to confirm your subscription",
+        data: subscriber
+    });
+});
 
-If you would like to unsubscribe or update your preferences, please reply to this email or contact us at ${contactEmail} and we will process your request promptly.
 
-We respect your privacy and will never share your contact information.
+// POST rather than GET so link scanners in mail clients cannot confirm on their own
+const confirmSubscription = asyncHandler(async (req, res, next) => {
+    const payload = verifyToken('subscription-confirm', req.params.token);
 
-Sincerely,
-kayceylon Team`;
+    if (!payload) {
+        return next(new AppError("Confirmation link is invalid or has expired", 400));
+    }
 
-        const subHtml = `
-                                                <div style="font-family: Arial, Helvetica, sans-serif; color:#333; max-width:620px; margin:0 auto;">
-                                                    <div style="background:linear-gradient(90deg,#0d6efd,#6610f2); padding:16px; color:#fff; text-align:center; border-radius:6px 6px 0 0;">
-                                                        <h2 style="margin:0; font-size:18px;">Wellcome to Kayceylon</h2>
-                                                    </div>
-                                                    <div style="background:#fff; border:1px solid #e9ecef; border-top:none; padding:18px; color:#444;">
-                                                        <p style="margin:0 0 12px;">Hello,</p>
-                                                        <p style="margin:0 0 12px;">Thank you for subscribing to <strong>kayceylon</strong>. You have been added to our mailing list and will receive occasional, carefully selected updates about new articles, guides, and announcements.</p>
-                                                        <p style="margin:0 0 12px; color:#666; font-size:14px;">To unsubscribe or change your preferences, reply to this email or contact us at <a href="mailto:${contactEmail}" style="color:#0d6efd; text-decoration:none;">${contactEmail}</a>. We will handle your request promptly.</p>
-                                                        <p style="margin-top:16px;">Sincerely,<br/><strong>kayceylon Team</strong></p>
-                                                    </div>
-                                                    <div style="text-align:center; color:#888; font-size:12px; padding:12px 0;">&copy; ${new Date().getFullYear()} kayceylon — You are receiving this because you subscribed to kayceylon updates.</div>
-                                                </div>
-                                `;
+    const subscriber = await CallToAction.findById(payload.sub);
 
-        await sendEmail({
-            email: email,
-            subject: subSubject,
-            message: subText,
-            html: subHtml,
-            replyTo: process.env.EMAIL_USER
-        });
+    if (!subscriber || subscriber.email !== payload.email) {
+        return next(new AppError("Confirmation link is invalid or has expired", 400));
+    }
 
-        res.status(201).json({
-            status: "success",
-            data: newCallToAction
-        });
-    } catch (err) {
-        if (err.code === 11000) {
-            return next(new AppError('Email is already subscribed', 400));
+    if (subscriber.status === 'pending') {
+        subscriber.status = 'confirmed';
+        subscriber.confirmedAt = new Date();
+        subscriber.expiresAt = undefined;
+        await subscriber.save();
+
+        // Confirming a new opt-in is explicit consent, so lift any earlier opt-out
+        await Suppression.deleteOne({ email: subscriber.email });
+
+        // Send a concise, professional welcome now that the address is confirmed
+        try {
+            const contactEmail = process.env.EMAIL_USER || 'support@kayceylon';
+            const unsubscribe = CallToAction.unsubscribeLinks(subscriber.email);
+            const welcome = renderTemplate('subscription.welcome', { unsubscribeUrl: unsubscribe.page, contactEmail });
+
+            await enqueueEmail('subscription.welcome', {
+                email: subscriber.email,
+                subject: welcome.subject,
+                message: welcome.text,
+                html: welcome.html,
+                replyTo: process.env.EMAIL_USER,
+                unsubscribeUrl: unsubscribe.oneClick
+            });
+        } catch (err) {
+            console.error('Error queueing subscription welcome email:', err.message || err);
+            // the subscription is confirmed either way
         }
-        throw err;
     }
 
+    res.status(200).json({
+        status: "success",
+        message: "Subscription confirmed",
+        data: subscriber
+    });
 });
 
 
 
+// RFC 8058 one-click endpoint used by mail clients (and by the frontend
+// unsubscribe page). Idempotent: unsubscribing twice still succeeds.
+const unsubscribe = asyncHandler(async (req, res, next) => {
+    const payload = verifyToken('unsubscribe', req.params.token);
+
+    if (!payload || !payload.email) {
+        return next(new AppError("Unsubscribe link is invalid", 400));
+    }
+
+    const email = String(payload.email).toLowerCase();
+    await CallToAction.deleteOne({ email });
+    await Suppression.suppress(email, 'unsubscribed');
+
+    res.status(200).json({
+        status: "success",
+        message: "You have been unsubscribed"
+    });
+});
+
+
+// Someone opening the List-Unsubscribe URL in a browser lands on the frontend
+// page, which asks them to confirm; a GET never unsubscribes on its own
+const unsubscribePage = (req, res) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    res.redirect(302, `${frontendUrl}/unsubscribe/${encodeURIComponent(req.params.token)}`);
+};
+
+
+
+// Read status/publishAt from a create or update request. Returns the fields to
+// set, or an error message.
+const parseBlogLifecycle = (body, defaultStatus) => {
+    const status = body.status !== undefined ? String(body.status) : defaultStatus;
+    if (status === undefined) return { fields: {} };
+
+    if (!BLOG_STATUSES.includes(status)) {
+        return { error: `Status must be one of ${BLOG_STATUSES.join(', ')}` };
+    }
+
+    if (status !== 'scheduled') {
+        return { fields: { status } };
+    }
+
+    const publishAt = parseDate(body.publishAt);
+    if (!publishAt || publishAt.getTime() <= Date.now()) {
+        return { error: 'publishAt must be a valid date in the future' };
+    }
+    return { fields: { status, publishAt } };
+};
+
+// Read category (id or slug; empty to clear) and tags from a create or update
+// request. Returns the fields to set, or an error message.
+const parseBlogTaxonomy = async (body) => {
+    const fields = {};
+
+    if (body.category !== undefined) {
+        if (body.category === '' || body.category === null || body.category === 'null') {
+            fields.category = null;
+        } else {
+            const category = await Category.findByIdOrSlug(String(body.category));
+            if (!category) {
+                return { error: `No category found for "${body.category}"` };
+            }
+            fields.category = category._id;
+        }
+    }
+
+    if (body.tags !== undefined) {
+        fields.tags = normalizeTags(body.tags);
+    }
+
+    return { fields };
+};
+
+// Category fields included when a post is returned
+const CATEGORY_FIELDS = 'name slug';
+
+// Posts without a status predate the lifecycle and are live
+const isPublished = (blog) => !blog.status || blog.status === 'published';
+
+
+
+// Save a post with photos uploaded for this request. Nothing references the
+// uploads when the save fails (validation, duplicate slug), so they are removed.
+const saveDiscardingUploads = async (blog, uploadResults) => {
+    try {
+        return await blog.saveWithUniqueSlug();
+    } catch (err) {
+        await destroyImages(uploadResults.map(r => r.public_id).filter(Boolean));
+        throw err;
+    }
+};
+
 const makeABlog = asyncHandler(async (req, res, next) => {
     const { title, content, link } = req.body;
     if (!title || !content || !link) {
         return next(new AppError("All fields are required", 400));
     }
+
+    // New posts are published straight away unless a status is given
+    const lifecycle = parseBlogLifecycle(req.body, 'published');
+    if (lifecycle.error) {
+        return next(new AppError(lifecycle.error, 400));
+    }
+
+    const taxonomy = await parseBlogTaxonomy(req.body);
+    if (taxonomy.error) {
+        return next(new AppError(taxonomy.error, 400));
+    }
+
     // support multi-file uploads (up to 6 files) from multer.array('photos')
     let uploadResults = [];
     try {
@@ -252,93 +670,28 @@ const makeABlog = asyncHandler(async (req, res, next) => {
 
     const photos = uploadResults.map(r => ({ url: r.secure_url, public_id: r.public_id }));
 
-    const newBlog = await Blog.create({
+    // Saved through saveWithUniqueSlug so two posts created at once with the
+    // same title get distinct slugs instead of a duplicate-key error
+    const newBlog = await saveDiscardingUploads(new Blog({
         title,
         content,
         link,
-        photo: photos
-    });
+        // optional; generated from the title when omitted
+        slug: req.body.slug,
+        photo: photos,
+        ...lifecycle.fields,
+        ...taxonomy.fields
+    }), uploadResults);
     if (!newBlog) {
         return next(new AppError("Failed to create blog", 500));
     }
 
-    // Notify admin with a professional summary email
-    try {
-        const publishedAt = new Date().toLocaleString();
-        const excerpt = (content && content.length > 300) ? `${content.slice(0, 300).trim()}...` : content;
-        const adminSubject = `New Blog Published: ${title}`;
-        const adminText = `A new blog post has been published.
-
-Title: ${title}
-Published: ${publishedAt}
-Link: ${link}
-
-Excerpt:
-${excerpt || 'No excerpt available.'}
-
-Please review and publish/promote as needed.`;
-
-        const adminHtml = `
-                        <div style="font-family: Arial, Helvetica, sans-serif; color:#333; max-width:700px; margin:0 auto;">
-                            <div style="background:linear-gradient(90deg,#0d6efd,#6610f2);padding:18px;color:#fff;text-align:center;border-radius:6px 6px 0 0;">
-                                <h1 style="margin:0;font-size:20px;">${title}</h1>
-                                <div style="font-size:12px;opacity:0.9;margin-top:6px;">Published: ${publishedAt}</div>
-                            </div>
-                            <div style="padding:20px;background:#fff;border:1px solid #e9ecef;border-top:none;border-radius:0 0 6px 6px;">
-                                <p style="color:#444;margin:0 0 12px;">A new blog post has been published. Below is a short excerpt; click the button to read the full article.</p>
-                                <div style="padding:12px;background:#f8f9fa;border-radius:6px;border:1px solid #e9ecef;color:#222;margin-bottom:12px;">${excerpt ? excerpt.replace(/\n/g, '<br/>') : 'No excerpt available.'}</div>
-                                <p style="text-align:center;margin:18px 0;"><a href="${link}" style="background:#0d6efd;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none;display:inline-block;font-weight:600;">View Full Article</a></p>
-                                <p style="color:#6c757d;font-size:13px;margin-top:8px;">This notification was generated automatically. Reply to this email for follow-up.</p>
-                            </div>
-                        </div>
-                `;
-
-        await sendEmail({
-            email: process.env.EMAIL_USER,
-            subject: adminSubject,
-            message: adminText,
-            html: adminHtml
-        });
-    } catch (err) {
-        console.error('Error sending admin blog notification:', err);
-        // continue; don't block blog creation
-    }
+    await recordRevision(newBlog, { editedBy: req.admin._id, reason: 'create' });
+    await audit(req, { action: 'blog.create', targetModel: 'Blog', targetId: newBlog._id, after: newBlog });
 
-    // Notify call-to-action subscribers (send in BCC batches)
-    try {
-        const subscribers = await CallToAction.find().select('email -_id');
-        const emails = subscribers.map(s => s.email).filter(Boolean);
-
-        if (emails.length > 0) {
-            const batchSize = 50; // send in batches of 50
-            const adminSubject = `New Blog Published: ${title}`;
-            const htmlBody = `
-                <div style="font-family: Arial, Helvetica, sans-serif;color:#333;max-width:600px;margin:0 auto;">
-                                                                <div style="background:linear-gradient(90deg,#0066cc,#00aaff);padding:16px;color:white;text-align:center;border-radius:6px 6px 0 0;">
-                                        <h2 style="margin:0;font-size:18px;">${title}</h2>
-                                    </div>
-                  <div style="padding:18px;background:#fff;border:1px solid #e6e6e6;border-top:none;border-radius:0 0 6px 6px;">
-                    <p style="color:#444;margin:0 0 12px;">A new blog post has been published. Read it here:</p>
-                    <p style="margin:0 0 12px;"><a href="${link}" style="color:#0066cc;text-decoration:none;">${link}</a></p>
-                    <p style="color:#666;font-size:13px;margin:12px 0 0;">You are receiving this email because you subscribed to kayceylon updates.</p>
-                  </div>
-                </div>
-            `;
-
-            for (let i = 0; i < emails.length; i += batchSize) {
-                const batch = emails.slice(i, i + batchSize);
-                await sendEmail({
-                    // send to admin as primary recipient and BCC subscribers
-                    email: process.env.EMAIL_USER,
-                    subject: adminSubject,
-                    message: `A new blog titled "${title}" has been published: ${link}`,
-                    html: htmlBody,
-                    bcc: batch.join(',')
-                });
-            }
-        }
-    } catch (err) {
-        console.error('Error notifying subscribers:', err);
+    // Scheduled posts are announced by the scheduler when they go live
+    if (isPublished(newBlog)) {
+        await notifyBlogPublished(newBlog);
     }
 
     res.status(201).json({
@@ -347,20 +700,151 @@ Please review and publish/promote as needed.`;
     });
 })
 
+// Query for published posts matching the public listing filters:
+// - category: id or slug
+// - tag: comma-separated; posts must have all of them
+// Returns null when the category does not exist, as nothing can match.
+const publicBlogFilter = async (query) => {
+    const filter = Blog.publishedFilter();
+
+    if (query.category) {
+        const category = await Category.findByIdOrSlug(String(query.category));
+        if (!category) return null;
+        filter.category = category._id;
+    }
+
+    const tags = query.tag ? normalizeTags(query.tag) : [];
+    if (tags.length > 0) {
+        filter.tags = { $all: tags };
+    }
+
+    return filter;
+};
+
+// Fields the public listing may be narrowed to with ?fields=
+const BLOG_LIST_FIELDS = ['title', 'slug', 'content', 'link', 'photo', 'category', 'tags', 'publishedAt', 'createdAt', 'updatedAt'];
+
+// Characters of content read for a summary excerpt. Comfortably more than the
+// excerpt itself, since runs of whitespace are collapsed before it is cut.
+const SUMMARY_CONTENT_LENGTH = 1000;
+
+// Summary shape: enough for a post card without the full content or every photo.
+// Built in the database so only the start of the content is read.
+const BLOG_SUMMARY_PROJECTION = {
+    title: 1,
+    slug: 1,
+    content: { $substrCP: [{ $ifNull: ['$content', ''] }, 0, SUMMARY_CONTENT_LENGTH] },
+    // Older posts may store a single photo rather than a list
+    photo: { $cond: [{ $isArray: '$photo' }, { $arrayElemAt: ['$photo', 0] }, '$photo'] },
+    publishedAt: 1,
+    createdAt: 1
+};
+
+const toBlogSummary = (blog) => ({
+    _id: blog._id,
+    title: blog.title,
+    slug: blog.slug,
+    excerpt: plainExcerpt(blog.content),
+    photo: blog.photo || null,
+    publishedAt: blog.publishedAt,
+    createdAt: blog.createdAt
+});
+
+// Newest first, one page at a time: pass meta.nextCursor back as ?cursor= for
+// the next page. limit (default 10, max 50), fields=title,slug,... or shape=summary.
 const getAllBlogs = asyncHandler(async (req, res, next) => {
-    const blogs = await Blog.find().sort({ createdAt: -1 });
-    if (!blogs) {
-        return next(new AppError("No blogs found", 404));
+    const { limit } = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+    const summary = req.query.shape === 'summary';
+
+    if (req.query.shape !== undefined && !summary) {
+        return next(new AppError("shape must be summary", 400));
+    }
+
+    let fields = null;
+    if (req.query.fields !== undefined) {
+        if (summary) {
+            return next(new AppError("Use either fields or shape=summary, not both", 400));
+        }
+        fields = String(req.query.fields).split(',').map((f) => f.trim()).filter(Boolean);
+        const unknown = fields.filter((f) => !BLOG_LIST_FIELDS.includes(f));
+        if (fields.length === 0 || unknown.length > 0) {
+            return next(new AppError(`fields may only contain ${BLOG_LIST_FIELDS.join(', ')}`, 400));
+        }
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor) {
+            return next(new AppError("Invalid cursor", 400));
+        }
+    }
+
+    const filter = await publicBlogFilter(req.query);
+    if (!filter) {
+        return res.status(200).json({ status: "success", results: 0, meta: { limit, nextCursor: null }, data: [] });
+    }
+
+    // The id is cast here because aggregation pipelines are not cast by Mongoose
+    const match = cursor
+        ? { $and: [filter, cursorCondition('createdAt', { ...cursor, id: new mongoose.Types.ObjectId(cursor.id) }, -1, (v) => new Date(v))] }
+        : filter;
+    const sort = { createdAt: -1, _id: -1 };
+
+    // One extra post tells whether there is a next page
+    let blogs;
+    if (summary) {
+        blogs = await Blog.aggregate([
+            { $match: match },
+            { $sort: sort },
+            { $limit: limit + 1 },
+            { $project: BLOG_SUMMARY_PROJECTION }
+        ]);
+    } else {
+        let query = Blog.find(match);
+        // createdAt is always read because the next cursor is built from it
+        if (fields) {
+            query = query.select([...new Set([...fields, 'createdAt'])].join(' '));
+        }
+        if (!fields || fields.includes('category')) {
+            query = query.populate('category', CATEGORY_FIELDS);
+        }
+        blogs = await query.sort(sort).limit(limit + 1).lean();
     }
+    const hasMore = blogs.length > limit;
+    const page = hasMore ? blogs.slice(0, limit) : blogs;
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore ? encodeCursor(last.createdAt, last._id) : null;
+
     res.status(200).json({
         status: "success",
-        results: blogs.length,
-        data: blogs
+        results: page.length,
+        meta: {
+            limit,
+            nextCursor
+        },
+        data: summary ? page.map(toBlogSummary) : page
     });
 });
 
 const updateBlog = asyncHandler(async (req, res, next) => {
-    const { title, content, link } = req.body;
+    const existingBlog = await Blog.findById(req.params.id);
+    if (!existingBlog) {
+        return next(new AppError("No blog found with that ID", 404));
+    }
+
+    // Only fields present in the request are changed. Saving the document (rather
+    // than findByIdAndUpdate) runs the slug hook, which keeps the old slug as an alias.
+    const lifecycle = parseBlogLifecycle(req.body);
+    if (lifecycle.error) {
+        return next(new AppError(lifecycle.error, 400));
+    }
+
+    const taxonomy = await parseBlogTaxonomy(req.body);
+    if (taxonomy.error) {
+        return next(new AppError(taxonomy.error, 400));
+    }
 
     // handle multi-file upload replacement (if user provides new photos)
     let uploadResults = [];
@@ -371,36 +855,28 @@ const updateBlog = asyncHandler(async (req, res, next) => {
         return next(new AppError('File upload failed', 500));
     }
 
-    const updatedData = { title, content, link };
+    const updatedData = { ...lifecycle.fields, ...taxonomy.fields };
+    for (const key of ['title', 'content', 'link', 'slug']) {
+        if (req.body[key] !== undefined) updatedData[key] = req.body[key];
+    }
     if (uploadResults && uploadResults.length > 0) {
-        // delete all previous images from cloudinary if exist
-        try {
-            const existingBlog = await Blog.findById(req.params.id).select('photo');
-            if (existingBlog && Array.isArray(existingBlog.photo)) {
-                for (const p of existingBlog.photo) {
-                    if (p && p.public_id) {
-                        await cloudinary.uploader.destroy(p.public_id);
-                    }
-                }
-            } else if (existingBlog && existingBlog.photo && existingBlog.photo.public_id) {
-                // backwards compatibility in case photo was stored as object
-                await cloudinary.uploader.destroy(existingBlog.photo.public_id);
-            }
-        } catch (err) {
-            console.error('Error deleting previous image(s) from Cloudinary:', err);
-            // don't block the update for deletion errors; proceed
-        }
-
         updatedData.photo = uploadResults.map(r => ({ url: r.secure_url, public_id: r.public_id }));
     }
 
-    const blog = await Blog.findByIdAndUpdate(req.params.id, updatedData, {
-        new: true,
-        runValidators: true
-    });
+    // Replaced photos stay in Cloudinary: older revisions still show them, and
+    // they are removed when the last revision using them is pruned
+    await ensureBaselineRevision(existingBlog);
 
-    if (!blog) {
-        return next(new AppError("No blog found with that ID", 404));
+    const before = existingBlog.toObject();
+    const wasPublished = isPublished(existingBlog);
+    existingBlog.set(updatedData);
+    const blog = await saveDiscardingUploads(existingBlog, uploadResults);
+
+    await recordRevision(blog, { editedBy: req.admin._id, reason: 'update' });
+    await audit(req, { action: 'blog.update', targetModel: 'Blog', targetId: blog._id, before, after: blog });
+
+    if (!wasPublished && isPublished(blog)) {
+        await notifyBlogPublished(blog);
     }
 
     res.status(200).json({
@@ -416,21 +892,11 @@ const deleteBlog = asyncHandler(async (req, res, next) => {
         return next(new AppError("No blog found with that ID", 404));
     }
 
-    // delete associated images from cloudinary if exist
-    try {
-        if (Array.isArray(blog.photo)) {
-            for (const p of blog.photo) {
-                if (p && p.public_id) {
-                    await cloudinary.uploader.destroy(p.public_id);
-                }
-            }
-        } else if (blog.photo && blog.photo.public_id) {
-            await cloudinary.uploader.destroy(blog.photo.public_id);
-        }
-    } catch (err) {
-        console.error('Error deleting image(s) from Cloudinary:', err);
-        // don't block the deletion for image deletion errors; proceed
-    }
+    await audit(req, { action: 'blog.delete', targetModel: 'Blog', targetId: blog._id, before: blog });
+
+    // delete the revisions and every image the post or its revisions used;
+    // image deletion errors are logged and don't block the deletion
+    await deleteRevisions(blog);
 
     res.status(204).json({
         status: "success",
@@ -440,7 +906,7 @@ const deleteBlog = asyncHandler(async (req, res, next) => {
 
 
 const getOneBlog = asyncHandler(async (req, res, next) => {
-    const blog = await Blog.findById(req.params.id);
+    const blog = await Blog.findOne({ _id: req.params.id, ...Blog.publishedFilter() }).populate('category', CATEGORY_FIELDS);
     if (!blog) {
         return next(new AppError("No blog on that ID", 400))
     };
@@ -452,4 +918,126 @@ const getOneBlog = asyncHandler(async (req, res, next) => {
 })
 
 
-export { makeAForm, getAllForms, getOneForm, deleteForm, callToAction, makeABlog, getAllBlogs, updateBlog, deleteBlog, getOneBlog }
+// Old slugs still resolve; the response then carries `redirectTo` with the
+// current slug so the frontend can issue a permanent redirect
+const getBlogBySlug = asyncHandler(async (req, res, next) => {
+    const blog = await Blog.findBySlug(req.params.slug, Blog.publishedFilter());
+    if (!blog) {
+        return next(new AppError("No blog found with that slug", 404));
+    }
+    await blog.populate('category', CATEGORY_FIELDS);
+
+    const redirectTo = blog.slug !== String(req.params.slug).toLowerCase() ? blog.slug : undefined;
+
+    res.status(200).json({
+        status: "success",
+        ...(redirectTo ? { redirectTo } : {}),
+        data: blog
+    });
+});
+
+
+// Admin listing including drafts, scheduled and archived posts; ?status= to filter
+const getAllBlogsAdmin = asyncHandler(async (req, res, next) => {
+    const filter = {};
+    if (req.query.status === 'published') {
+        Object.assign(filter, Blog.publishedFilter());
+    } else if (BLOG_STATUSES.includes(req.query.status)) {
+        filter.status = req.query.status;
+    }
+
+    const blogs = await Blog.find(filter).sort({ createdAt: -1 }).populate('category', CATEGORY_FIELDS);
+
+    res.status(200).json({
+        status: "success",
+        results: blogs.length,
+        data: blogs
+    });
+});
+
+
+const getOneBlogAdmin = asyncHandler(async (req, res, next) => {
+    const blog = await Blog.findById(req.params.id).populate('category', CATEGORY_FIELDS);
+    if (!blog) {
+        return next(new AppError("No blog found with that ID", 404));
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: blog
+    });
+});
+
+
+const MAX_SEARCH_LENGTH = 200;
+
+// Public full-text search over title and content, best matches first. Takes the
+// same category/tag filters as getAllBlogs. The search string follows MongoDB
+// $text syntax: "quoted phrases" must all appear, -word excludes.
+const searchBlogs = asyncHandler(async (req, res, next) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+        return next(new AppError("Please provide a search term (q)", 400));
+    }
+    if (q.length > MAX_SEARCH_LENGTH) {
+        return next(new AppError(`Search terms must be at most ${MAX_SEARCH_LENGTH} characters`, 400));
+    }
+
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+
+    const baseFilter = await publicBlogFilter(req.query);
+    if (!baseFilter) {
+        return res.status(200).json({
+            status: "success",
+            results: 0,
+            meta: { total: 0, limit, page, pages: 0 },
+            data: []
+        });
+    }
+    const filter = { ...baseFilter, $text: { $search: q } };
+
+    const [blogs, total] = await Promise.all([
+        Blog.find(filter, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('title slug content link photo category tags publishedAt createdAt')
+            .populate('category', CATEGORY_FIELDS)
+            .lean(),
+        Blog.countDocuments(filter)
+    ]);
+
+    // The excerpt replaces the full content; it is HTML-escaped with matches in <mark>
+    const terms = parseSearchTerms(q);
+    const data = blogs.map(({ content, ...blog }) => ({
+        ...blog,
+        excerpt: highlightExcerpt(content, terms)
+    }));
+
+    res.status(200).json({
+        status: "success",
+        results: data.length,
+        meta: {
+            total,
+            limit,
+            page,
+            pages: Math.ceil(total / limit)
+        },
+        data
+    });
+});
+
+
+// Public: tags used on published posts with how many posts carry each, most used first
+const getBlogTags = asyncHandler(async (req, res, next) => {
+    const tags = await Blog.countByTag();
+
+    res.status(200).json({
+        status: "success",
+        results: tags.length,
+        data: tags
+    });
+});
+
+
+export { makeAForm, getAllForms, getOneForm, markFormRead, markFormUnread, updateFormStatus, assignForm, addFormNote, replyToForm, getFormThread, getFormActivity, deleteForm, callToAction, confirmSubscription, unsubscribe, unsubscribePage, makeABlog, getAllBlogs, updateBlog, deleteBlog, getOneBlog, getBlogBySlug, getAllBlogsAdmin, getOneBlogAdmin, getBlogTags, searchBlogs }
@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import AppError from "../utils/AppError.js";
+import Outbox, { OUTBOX_STATUSES } from "../models/outboxModel.js";
+import { requeue } from "../utils/mailQueue.js";
+import { parseDate, escapeRegex, parsePagination } from "../utils/queryHelpers.js";
+import { audit } from "../utils/auditLogger.js";
+
+
+// Filters: status, category, to (recipient address), since/until (creation time)
+const getOutboxMessages = asyncHandler(async (req, res, next) => {
+    const filter = {};
+
+    if (OUTBOX_STATUSES.includes(req.query.status)) {
+        filter.status = req.query.status;
+    }
+    if (req.query.category) {
+        filter.category = String(req.query.category);
+    }
+    if (req.query.to) {
+        filter['mail.email'] = new RegExp(`^${escapeRegex(String(req.query.to))}$`, 'i');
+    }
+
+    const since = parseDate(req.query.since);
+    const until = parseDate(req.query.until);
+    if (since || until) {
+        filter.createdAt = {};
+        if (since) filter.createdAt.$gte = since;
+        if (until) filter.createdAt.$lte = until;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [messages, total, counts] = await Promise.all([
+        Outbox.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-mail.html -mail.message -mail.headers'),
+        Outbox.countDocuments(filter),
+        Outbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.status(200).json({
+        status: "success",
+        results: messages.length,
+        meta: {
+            total,
+            limit,
+            page,
+            pages: Math.ceil(total / limit),
+            // Queue-wide totals per status, independent of the filters
+            counts: Object.fromEntries(OUTBOX_STATUSES.map((s) => [s, (counts.find((c) => c._id === s) || {}).count || 0]))
+        },
+        data: messages
+    });
+});
+
+
+const getOneOutboxMessage = asyncHandler(async (req, res, next) => {
+    const message = await Outbox.findById(req.params.id);
+
+    if (!message) {
+        return next(new AppError("No message found with that ID", 404));
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: message
+    });
+});
+
+
+// Queue a dead (or waiting) message for immediate delivery with fresh attempts
+const retryOutboxMessage = asyncHandler(async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return next(new AppError(`Invalid id: ${req.params.id}.`, 400));
+    }
+
+    const message = await Outbox.findById(req.params.id).select('status category');
+    if (!message) {
+        return next(new AppError("No message found with that ID", 404));
+    }
+
+    if (!(await requeue({ _id: message._id }))) {
+        return next(new AppError(`A ${message.status} message cannot be retried`, 400));
+    }
+
+    await audit(req, { action: 'outbox.retry', targetModel: 'Outbox', targetId: message._id, metadata: { category: message.category } });
+
+    res.status(200).json({
+        status: "success",
+        message: "Message queued for delivery"
+    });
+});
+
+
+// Retry every dead message, optionally only those of one category
+const retryDeadOutboxMessages = asyncHandler(async (req, res, next) => {
+    const filter = { status: 'dead' };
+    if (req.body.category) {
+        filter.category = String(req.body.category);
+    }
+
+    const requeued = await requeue(filter);
+
+    await audit(req, { action: 'outbox.retry-dead', targetModel: 'Outbox', metadata: { category: filter.category, requeued } });
+
+    res.status(200).json({
+        status: "success",
+        message: `${requeued} message(s) queued for delivery`,
+        data: { requeued }
+    });
+});
+
+
+export { getOutboxMessages, getOneOutboxMessage, retryOutboxMessage, retryDeadOutboxMessages }
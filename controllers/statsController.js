@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import AppError from "../utils/AppError.js";
+import FormData from "../models/formDataModel.js";
+import CallToAction from "../models/callToAction.js";
+import Blog from "../models/blogModel.js";
+import { createCache } from "../utils/memoryCache.js";
+
+// Dashboard numbers may be up to a minute old
+const statsCache = createCache(60 * 1000);
+
+const MAX_RANGE_DAYS = 365;
+
+// Group the documents selected by `match` into day or week buckets of `dateExpr`
+const countOverTime = (Model, match, dateExpr, unit) => Model.aggregate([
+    { $match: match },
+    {
+        $group: {
+            _id: { $dateTrunc: { date: dateExpr, unit, startOfWeek: 'monday' } },
+            count: { $sum: 1 }
+        }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', count: 1 } }
+]);
+
+
+const getDashboardStats = asyncHandler(async (req, res, next) => {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+    const groupBy = req.query.groupBy || 'day';
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_RANGE_DAYS) {
+        return next(new AppError(`days must be a whole number between 1 and ${MAX_RANGE_DAYS}`, 400));
+    }
+    if (!['day', 'week'].includes(groupBy)) {
+        return next(new AppError("groupBy must be either day or week", 400));
+    }
+
+    const cacheKey = `${days}:${groupBy}`;
+    const cached = statsCache.get(cacheKey);
+    if (cached) {
+        return res.status(200).json({ status: "success", cached: true, data: cached });
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const sinceId = mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000));
+
+    const [formCounts, submissionsOverTime, subscriberCounts, subscriberGrowth, blogCounts, recentForms, recentBlogs] = await Promise.all([
+        FormData.aggregate([
+            {
+                $facet: {
+                    totals: [
+                        {
+                            $group: {
+                                _id: null,
+                                total: { $sum: 1 },
+                                unread: { $sum: { $cond: ['$read', 0, 1] } },
+                                inRange: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, 1, 0] } }
+                            }
+                        }
+                    ],
+                    byStatus: [
+                        { $group: { _id: { $ifNull: ['$status', 'new'] }, count: { $sum: 1 } } }
+                    ]
+                }
+            }
+        ]),
+        countOverTime(FormData, { createdAt: { $gte: since } }, '$createdAt', groupBy),
+        // Confirmed subscribers only. Older entries have no timestamps, so the
+        // ObjectId provides the creation time for every document
+        CallToAction.aggregate([
+            { $match: CallToAction.confirmedFilter() },
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    inRange: { $sum: { $cond: [{ $gte: ['$_id', sinceId] }, 1, 0] } }
+                }
+            }
+        ]),
+        countOverTime(CallToAction, { ...CallToAction.confirmedFilter(), _id: { $gte: sinceId } }, { $toDate: '$_id' }, groupBy),
+        Blog.aggregate([
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    inRange: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, 1, 0] } }
+                }
+            }
+        ]),
+        FormData.find().sort({ createdAt: -1 }).limit(5).select('cNameOrName email status read createdAt'),
+        Blog.find().sort({ createdAt: -1 }).limit(5).select('title createdAt updatedAt')
+    ]);
+
+    const formTotals = formCounts[0].totals[0] || { total: 0, unread: 0, inRange: 0 };
+    const subscriberTotals = subscriberCounts[0] || { total: 0, inRange: 0 };
+    const blogTotals = blogCounts[0] || { total: 0, inRange: 0 };
+
+    const stats = statsCache.set(cacheKey, {
+        range: { days, groupBy, since },
+        forms: {
+            total: formTotals.total,
+            unread: formTotals.unread,
+            inRange: formTotals.inRange,
+            byStatus: Object.fromEntries(formCounts[0].byStatus.map((s) => [s._id, s.count])),
+            overTime: submissionsOverTime
+        },
+        subscribers: {
+            total: subscriberTotals.total,
+            inRange: subscriberTotals.inRange,
+            overTime: subscriberGrowth
+        },
+        blogs: {
+            total: blogTotals.total,
+            inRange: blogTotals.inRange
+        },
+        recent: {
+            forms: recentForms,
+            blogs: recentBlogs
+        },
+        generatedAt: new Date()
+    });
+
+    res.status(200).json({
+        status: "success",
+        cached: false,
+        data: stats
+    });
+});
+
+
+export { getDashboardStats }
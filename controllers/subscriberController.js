@@ -0,0 +1,200 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import AppError from "../utils/AppError.js";
+import CallToAction, { EMAIL_REGEX } from "../models/callToAction.js";
+import Suppression from "../models/suppressionModel.js";
+import { parsePagination } from "../utils/queryHelpers.js";
+import { parseCsv } from "../utils/csvParser.js";
+import { audit } from "../utils/auditLogger.js";
+
+// Largest import accepted in one upload, and how many rows are written at a time
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_CHUNK_SIZE = 500;
+// Per-row details in the import report are capped to keep the response small
+const MAX_REPORTED_ROWS = 200;
+
+
+// Subscribers created before double opt-in have no status and are confirmed
+const subscriberStatus = (subscriber) => subscriber.status || 'confirmed';
+
+
+// Filters: status=confirmed|pending, from, to, q (search on the address)
+const getAllSubscribers = asyncHandler(async (req, res, next) => {
+    const filter = CallToAction.buildFilter(req.query);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [subscribers, total] = await Promise.all([
+        CallToAction.find(filter)
+            .sort({ _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        CallToAction.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        status: "success",
+        results: subscribers.length,
+        meta: {
+            total,
+            limit,
+            page,
+            pages: Math.ceil(total / limit)
+        },
+        data: subscribers.map((subscriber) => ({ ...subscriber, status: subscriberStatus(subscriber) }))
+    });
+});
+
+
+// Removing a subscriber is not an opt-out; pass ?suppress=true to also keep the
+// address from being re-added by later imports
+const deleteSubscriber = asyncHandler(async (req, res, next) => {
+    const subscriber = await CallToAction.findByIdAndDelete(req.params.id);
+
+    if (!subscriber) {
+        return next(new AppError("No subscriber found with that ID", 404));
+    }
+
+    const suppress = req.query.suppress === 'true';
+    if (suppress) {
+        await Suppression.suppress(subscriber.email, 'manual');
+    }
+
+    await audit(req, {
+        action: 'subscriber.delete',
+        targetModel: 'CallToAction',
+        targetId: subscriber._id,
+        before: subscriber,
+        metadata: { suppress }
+    });
+
+    res.status(204).json({
+        status: "success",
+        data: null
+    });
+});
+
+
+// Find the email column: a header cell named "email", otherwise the first column
+// (and the first row is data unless it looks like a header)
+const locateEmailColumn = (rows) => {
+    const header = rows[0].map((cell) => cell.trim().toLowerCase());
+    const index = header.indexOf('email');
+    if (index !== -1) return { column: index, firstDataRow: 1 };
+    return { column: 0, firstDataRow: EMAIL_REGEX.test(header[0]) ? 0 : 1 };
+};
+
+
+// Upload a CSV (multipart field `file`) of addresses. Imported subscribers are
+// added as confirmed, so only import lists whose consent you already hold.
+// Each row is reported as added, skipped (duplicate in the file, already
+// subscribed, or suppressed) or rejected (invalid address).
+const importSubscribers = asyncHandler(async (req, res, next) => {
+    if (!req.file || !req.file.buffer) {
+        return next(new AppError("Please upload a CSV file in the `file` field", 400));
+    }
+
+    const rows = parseCsv(req.file.buffer.toString('utf8'));
+    if (rows.length === 0) {
+        return next(new AppError("The CSV file is empty", 400));
+    }
+
+    const { column, firstDataRow } = locateEmailColumn(rows);
+    if (rows.length - firstDataRow > MAX_IMPORT_ROWS) {
+        return next(new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`, 400));
+    }
+
+    const report = { added: 0, skipped: 0, rejected: 0 };
+    const details = [];
+    const note = (row, email, result, reason) => {
+        report[result] += 1;
+        if (result !== 'added' && details.length < MAX_REPORTED_ROWS) {
+            details.push({ row, email, result, reason });
+        }
+    };
+
+    // Validate rows and drop duplicates within the file
+    const candidates = [];
+    const seen = new Set();
+    for (let i = firstDataRow; i < rows.length; i++) {
+        const row = i + 1; // 1-based line number as shown in a spreadsheet
+        const email = (rows[i][column] || '').trim().toLowerCase();
+
+        // Blank lines are ignored entirely
+        if (!email && rows[i].every((cell) => !cell.trim())) continue;
+
+        if (!EMAIL_REGEX.test(email)) {
+            note(row, email, 'rejected', 'Invalid email address');
+        } else if (seen.has(email)) {
+            note(row, email, 'skipped', 'Duplicate in file');
+        } else {
+            seen.add(email);
+            candidates.push({ row, email });
+        }
+    }
+
+    for (let i = 0; i < candidates.length; i += IMPORT_CHUNK_SIZE) {
+        const chunk = candidates.slice(i, i + IMPORT_CHUNK_SIZE);
+        const emails = chunk.map((c) => c.email);
+
+        const [existing, suppressed] = await Promise.all([
+            CallToAction.find({ email: { $in: emails } }).select('email status -_id').lean(),
+            Suppression.find({ email: { $in: emails } }).select('email -_id')
+        ]);
+        const existingByEmail = new Map(existing.map((s) => [s.email, subscriberStatus(s)]));
+        const suppressedEmails = new Set(suppressed.map((s) => s.email));
+
+        const toInsert = [];
+        for (const candidate of chunk) {
+            if (suppressedEmails.has(candidate.email)) {
+                note(candidate.row, candidate.email, 'skipped', 'Address has unsubscribed');
+            } else if (existingByEmail.has(candidate.email)) {
+                const reason = existingByEmail.get(candidate.email) === 'pending'
+                    ? 'Already subscribed (awaiting confirmation)'
+                    : 'Already subscribed';
+                note(candidate.row, candidate.email, 'skipped', reason);
+            } else {
+                toInsert.push(candidate);
+            }
+        }
+
+        if (toInsert.length === 0) continue;
+
+        const now = new Date();
+        const docs = toInsert.map(({ email }) => ({ email, status: 'confirmed', confirmedAt: now }));
+        let insertedEmails;
+        try {
+            const inserted = await CallToAction.insertMany(docs, { ordered: false });
+            insertedEmails = new Set(inserted.map((doc) => doc.email));
+        } catch (err) {
+            // Someone subscribed between the lookup and the insert; the rest were written
+            if (!err.writeErrors || err.writeErrors.some((e) => (e.code ?? (e.err && e.err.code)) !== 11000)) throw err;
+            insertedEmails = new Set((err.insertedDocs || []).map((doc) => doc.email));
+        }
+
+        for (const candidate of toInsert) {
+            if (insertedEmails.has(candidate.email)) {
+                note(candidate.row, candidate.email, 'added');
+            } else {
+                note(candidate.row, candidate.email, 'skipped', 'Already subscribed');
+            }
+        }
+    }
+
+    await audit(req, {
+        action: 'subscriber.import',
+        targetModel: 'CallToAction',
+        metadata: { filename: req.file.originalname, ...report }
+    });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            ...report,
+            details,
+            detailsTruncated: report.skipped + report.rejected > details.length
+        }
+    });
+});
+
+
+export { getAllSubscribers, deleteSubscriber, importSubscribers }
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+    // Admin who performed the action (empty for anonymous events such as a failed login)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    // Email is copied so entries stay readable after the admin is removed
+    actorEmail: {
+        type: String
+    },
+    // Dotted action name, eg. `blog.update`, `auth.login`
+    action: {
+        type: String,
+        required: true
+    },
+    targetModel: {
+        type: String
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Only the fields that changed; `before` is empty for creates, `after` for deletes
+    changes: {
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed }
+    },
+    // Extra context that is not a field change (eg. the email of a failed login)
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the audit query endpoint
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,22 @@
 import mongoose, { Schema } from "mongoose";
+import slugify from "../utils/slugify.js";
+import { escapeRegex } from "../utils/queryHelpers.js";
+
+export const BLOG_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+export const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Tags are free-form but stored lowercased and de-duplicated so "Travel" and
+// "travel " count as one. Accepts an array or a comma-separated string (as sent
+// in multipart forms).
+export function normalizeTags(input) {
+    const values = Array.isArray(input) ? input : String(input ?? '').split(',');
+    const tags = values
+        .map((tag) => String(tag).trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH).trim())
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
 
 const blogSchema = new Schema({
     title: {
@@ -15,6 +33,55 @@ const blogSchema = new Schema({
         type: String,
         required: [true, 'Please provide a link for the blog post']
     },
+    // URL slug generated from the title unless set explicitly. Sparse because
+    // posts created before slugs existed get theirs from backfillSlugs().
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true,
+        lowercase: true,
+        trim: true
+    },
+    // Previous slugs, kept so old links can be redirected to the current one
+    slugAliases: {
+        type: [String],
+        default: []
+    },
+    // Only published posts are public. Posts created before statuses existed
+    // have none and count as published (no default, so loading them does not
+    // turn them into drafts).
+    status: {
+        type: String,
+        enum: {
+            values: BLOG_STATUSES,
+            message: 'Status must be one of draft, scheduled, published or archived'
+        }
+    },
+    // When a scheduled post goes live
+    publishAt: {
+        type: Date
+    },
+    publishedAt: {
+        type: Date
+    },
+    // Set once subscribers have been notified, so a post that is unpublished
+    // and published again does not email them twice
+    notifiedAt: {
+        type: Date
+    },
+    category: {
+        type: Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    tags: {
+        type: [String],
+        default: [],
+        set: normalizeTags,
+        validate: {
+            validator: (val) => val.length <= MAX_TAGS,
+            message: `A post can have at most ${MAX_TAGS} tags`
+        }
+    },
     photo: {
         type: [new Schema({
             url: { type: String, required: [true, 'Please provide a photo URL for the blog post'] },
@@ -32,5 +99,162 @@ const blogSchema = new Schema({
 
 // Index for sorting by newest first
 blogSchema.index({ createdAt: -1 });
+blogSchema.index({ slugAliases: 1 });
+blogSchema.index({ status: 1, publishAt: 1 });
+blogSchema.index({ category: 1 });
+blogSchema.index({ tags: 1 });
+// Full-text search; a title match counts more than one in the body
+blogSchema.index(
+    { title: 'text', content: 'text' },
+    { name: 'blog_text_search', weights: { title: 5, content: 1 } }
+);
+
+// Filter matching posts visible to the public
+blogSchema.statics.publishedFilter = function () {
+    return { status: { $in: ['published', null] } };
+};
+
+// Published post counts per category id and per tag
+blogSchema.statics.countByCategory = async function () {
+    return await this.aggregate([
+        { $match: { ...this.publishedFilter(), category: { $ne: null } } },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+};
+
+blogSchema.statics.countByTag = async function () {
+    return await this.aggregate([
+        { $match: this.publishedFilter() },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+};
+
+// Keep the schedule consistent with the status
+blogSchema.pre('validate', function () {
+    if (this.status === 'scheduled' && !this.publishAt) {
+        this.invalidate('publishAt', 'A scheduled post needs a publishAt date');
+    }
+    if (this.status === 'published' && !this.publishedAt) {
+        this.publishedAt = new Date();
+    }
+    if (this.status !== 'scheduled' && this.isModified('status')) {
+        this.publishAt = undefined;
+    }
+});
+
+// Remember the stored slug so a change can be recorded as an alias
+blogSchema.post('init', function () {
+    this.$locals.originalSlug = this.slug;
+});
+
+blogSchema.post('save', function () {
+    this.$locals.originalSlug = this.slug;
+});
+
+// Slugs (current or alias) already used by other posts that match `pattern`
+const takenSlugs = async (Model, pattern, excludeId) => {
+    const others = await Model.find({
+        _id: { $ne: excludeId },
+        $or: [{ slug: pattern }, { slugAliases: pattern }]
+    }).select('slug slugAliases');
+    return new Set(others.flatMap((doc) => [doc.slug, ...doc.slugAliases]));
+};
+
+// Static method to find a free slug for a title: "my-post", then "my-post-2", ...
+blogSchema.statics.generateUniqueSlug = async function (title, excludeId) {
+    const base = slugify(title) || 'post';
+    const taken = await takenSlugs(this, new RegExp(`^${escapeRegex(base)}(-\\d+)?$`), excludeId);
+
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    return slug;
+};
+
+// Static method to look up a post by its current slug or one of its old ones
+blogSchema.statics.findBySlug = async function (slug, filter = {}) {
+    const value = String(slug).toLowerCase();
+    return await this.findOne({ ...filter, $or: [{ slug: value }, { slugAliases: value }] });
+};
+
+// Static method to give every post without a slug one generated from its title
+blogSchema.statics.backfillSlugs = async function () {
+    const blogs = await this.find({ slug: { $exists: false } });
+    let updated = 0;
+    for (const blog of blogs) {
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            await blog.saveWithUniqueSlug();
+            updated++;
+        } catch (err) {
+            console.error(`[blogs] Could not generate a slug for blog ${blog._id}:`, err.message);
+        }
+    }
+    return updated;
+};
+
+// Static method to mark posts from before the publishing lifecycle as already
+// announced. They were emailed when created, so archiving one and publishing it
+// again must not send a second "new post" email.
+blogSchema.statics.backfillNotified = async function () {
+    const result = await this.updateMany(
+        { status: null, notifiedAt: null },
+        [{ $set: { notifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+    );
+    return result.modifiedCount;
+};
+
+// A slug set explicitly is normalised and must be free; otherwise one is
+// generated from the title whenever the title changes. The replaced slug is
+// kept as an alias.
+blogSchema.pre('validate', async function () {
+    if (this.isModified('slug') && this.slug) {
+        this.slug = slugify(this.slug);
+        if (!this.slug) {
+            this.invalidate('slug', 'Slug must contain letters or numbers');
+            return;
+        }
+        const taken = await takenSlugs(this.constructor, this.slug, this._id);
+        if (taken.has(this.slug)) {
+            this.invalidate('slug', `Slug "${this.slug}" is already in use`);
+            return;
+        }
+    } else if (this.isNew || this.isModified('title') || !this.slug) {
+        this.slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+        this.$locals.slugGenerated = true;
+    }
+
+    const previous = this.$locals.originalSlug;
+    if (previous && previous !== this.slug && !this.slugAliases.includes(previous)) {
+        this.slugAliases.push(previous);
+    }
+    // A post can take back one of its own old slugs
+    if (this.slugAliases.includes(this.slug)) {
+        this.slugAliases = this.slugAliases.filter((alias) => alias !== this.slug);
+    }
+});
+
+const SLUG_SAVE_ATTEMPTS = 3;
+
+// Save, and if another post took the generated slug between the check above
+// and the insert (the unique index rejects it), generate the next free one and
+// try again. A slug set explicitly is not changed; that conflict is rethrown.
+blogSchema.methods.saveWithUniqueSlug = async function () {
+    for (let attempt = 1; ; attempt++) {
+        this.$locals.slugGenerated = false;
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            return await this.save();
+        } catch (err) {
+            const slugConflict = err.code === 11000 && err.keyPattern && err.keyPattern.slug;
+            if (!slugConflict || !this.$locals.slugGenerated || attempt >= SLUG_SAVE_ATTEMPTS) throw err;
+            this.slug = undefined;
+        }
+    }
+};
 
 export default mongoose.model('Blog', blogSchema);
\ No newline at end of file
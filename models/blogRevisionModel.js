@@ -0,0 +1,67 @@
+import mongoose, { Schema } from "mongoose";
+
+// Fields copied into every revision, and the subset a restore puts back.
+// Status and slug are recorded for reference only: restoring old content must
+// not unpublish a post or break its current URL.
+export const REVISION_FIELDS = ['title', 'content', 'link', 'photo', 'category', 'tags', 'status', 'slug'];
+export const RESTORABLE_FIELDS = ['title', 'content', 'link', 'photo', 'category', 'tags'];
+
+// One document per saved state of a blog post, numbered from 1. Photos in a
+// revision stay in Cloudinary until the revision is pruned.
+const blogRevisionSchema = new Schema({
+    blog: {
+        type: Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    title: String,
+    content: String,
+    link: String,
+    photo: {
+        type: [new Schema({
+            url: { type: String },
+            public_id: { type: String }
+        }, { _id: false })],
+        default: undefined
+    },
+    category: {
+        type: Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    tags: {
+        type: [String],
+        default: undefined
+    },
+    status: String,
+    slug: String,
+    // Missing on the baseline recorded for posts that predate revisions
+    editedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    // What recorded the revision; "baseline" is the state of a post that
+    // predates revisions, saved before its first tracked update
+    reason: {
+        type: String,
+        enum: ['baseline', 'create', 'update', 'restore'],
+        required: true
+    },
+    // Set when this revision was made by restoring an older one
+    restoredFrom: {
+        type: Number
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+blogRevisionSchema.index({ blog: 1, version: -1 }, { unique: true });
+
+// Cloudinary ids of the photos in a revision or post
+export const photoPublicIds = (doc) => {
+    const photos = Array.isArray(doc.photo) ? doc.photo : (doc.photo ? [doc.photo] : []);
+    return photos.map((p) => p && p.public_id).filter(Boolean);
+};
+
+export default mongoose.model('BlogRevision', blogRevisionSchema);
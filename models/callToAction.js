@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import { signToken } from "../utils/signedTokens.js";
+import { parseDate, escapeRegex } from "../utils/queryHelpers.js";
+
+// Shared with the admin CSV import so both paths accept the same addresses
+export const EMAIL_REGEX = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
 
 const callToActionSchema = new mongoose.Schema({
     email: {
@@ -7,10 +12,77 @@ const callToActionSchema = new mongoose.Schema({
         unique: true,
         lowercase: true,
         match: [
-            /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+            EMAIL_REGEX,
             'Please provide a valid email'
         ]
+    },
+    // Double opt-in: subscribers stay pending until they confirm by email.
+    // Documents created before opt-in existed have no status and count as
+    // confirmed. No default: Mongoose would apply it when loading those
+    // documents, and saving one would turn a real subscriber back into a
+    // pending entry that the TTL index then removes. New sign-ups set it.
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed']
+    },
+    confirmedAt: {
+        type: Date
+    },
+    // Set only while pending; MongoDB removes unconfirmed entries after this time
+    expiresAt: {
+        type: Date
+    }
+}, { timestamps: true })
+
+callToActionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+callToActionSchema.index({ status: 1 });
+
+// Filter matching subscribers who may receive emails
+callToActionSchema.statics.confirmedFilter = function () {
+    return { status: { $ne: 'pending' } };
+};
+
+// Build a query from admin list/export filters:
+// - status: confirmed|pending (all subscribers when omitted)
+// - from/to: on the creation time in the ObjectId (older subscribers have no timestamps)
+// - q: case-insensitive search on the address
+callToActionSchema.statics.buildFilter = function (query = {}) {
+    const filter = {};
+
+    if (query.status === 'confirmed') {
+        Object.assign(filter, this.confirmedFilter());
+    } else if (query.status === 'pending') {
+        filter.status = 'pending';
     }
-})
 
-export default mongoose.model('CallToAction', callToActionSchema);
\ No newline at end of file
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from || to) {
+        filter._id = {};
+        if (from) filter._id.$gte = mongoose.Types.ObjectId.createFromTime(Math.floor(from.getTime() / 1000));
+        if (to) filter._id.$lt = mongoose.Types.ObjectId.createFromTime(Math.floor(to.getTime() / 1000) + 1);
+    }
+
+    if (query.q && String(query.q).trim()) {
+        filter.email = new RegExp(escapeRegex(String(query.q).trim()), 'i');
+    }
+
+    return filter;
+};
+
+// Static method to build the unsubscribe links for an address. The token never
+// expires so links in old emails keep working.
+// - oneClick: API endpoint for RFC 8058 List-Unsubscribe (POST) headers
+// - page: frontend page linked from the email body
+callToActionSchema.statics.unsubscribeLinks = function (email) {
+    const token = signToken('unsubscribe', { email: String(email).toLowerCase() });
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    return {
+        oneClick: `${apiUrl}/api/auth/unsubscribe/${token}`,
+        page: `${frontendUrl}/unsubscribe/${token}`
+    };
+};
+
+export default mongoose.model('CallToAction', callToActionSchema);
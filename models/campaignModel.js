@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import CallToAction from "./callToAction.js";
+
+export const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+// Statuses in which the content and schedule can still be changed
+export const EDITABLE_CAMPAIGN_STATUSES = ['draft', 'scheduled'];
+
+const campaignSchema = new mongoose.Schema({
+    subject: {
+        type: String,
+        required: [true, 'Please provide a subject'],
+        trim: true,
+        maxlength: [200, 'Subject must be at most 200 characters']
+    },
+    html: {
+        type: String,
+        required: [true, 'Please provide an HTML body']
+    },
+    // Plain-text alternative; derived from the HTML when omitted
+    text: {
+        type: String
+    },
+    // Which confirmed subscribers receive the campaign. Empty means all of them.
+    // from/to: subscription time, q: search on the address
+    segment: {
+        from: { type: Date },
+        to: { type: Date },
+        q: { type: String, trim: true }
+    },
+    status: {
+        type: String,
+        enum: CAMPAIGN_STATUSES,
+        default: 'draft'
+    },
+    scheduledAt: {
+        type: Date
+    },
+    startedAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    // Set once every recipient of the segment has been written to CampaignRecipient
+    recipientsPreparedAt: {
+        type: Date
+    },
+    // Lease held by the process currently sending; an expired lease means the
+    // send was interrupted and may be resumed
+    lockedUntil: {
+        type: Date
+    },
+    stats: {
+        total: { type: Number, default: 0 },
+        sent: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+// Filter for the subscribers in the campaign's segment (confirmed only)
+campaignSchema.methods.recipientFilter = function () {
+    const segment = this.segment || {};
+    return CallToAction.buildFilter({
+        status: 'confirmed',
+        from: segment.from,
+        to: segment.to,
+        q: segment.q
+    });
+};
+
+export default mongoose.model('Campaign', campaignSchema);
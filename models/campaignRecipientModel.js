@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+export const RECIPIENT_STATUSES = ['pending', 'sent', 'failed', 'skipped'];
+
+// One document per campaign and address. Kept out of the campaign document so
+// large lists do not hit the document size limit, and so progress survives a
+// restart: sending always picks up the remaining `pending` recipients.
+const campaignRecipientSchema = new mongoose.Schema({
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        enum: RECIPIENT_STATUSES,
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String
+    },
+    // A failed send stays pending until this time, then is tried again
+    nextAttemptAt: {
+        type: Date
+    },
+    sentAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+campaignRecipientSchema.index({ campaign: 1, email: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaign: 1, status: 1 });
+
+export default mongoose.model('CampaignRecipient', campaignRecipientSchema);
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import slugify from "../utils/slugify.js";
+
+// Categories are managed by admins; each blog post belongs to at most one
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a category name'],
+        unique: true,
+        trim: true,
+        maxlength: [60, 'Category name must be at most 60 characters']
+    },
+    // Generated from the name unless set explicitly
+    slug: {
+        type: String,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description must be at most 500 characters']
+    }
+}, { timestamps: true });
+
+// Static method to resolve a category from an id or a slug
+categorySchema.statics.findByIdOrSlug = async function (value) {
+    if (!value) return null;
+    if (mongoose.isValidObjectId(value)) {
+        const category = await this.findById(value);
+        if (category) return category;
+    }
+    return await this.findOne({ slug: String(value).toLowerCase() });
+};
+
+// Normalise an explicit slug, or derive one from the name when it changes
+categorySchema.pre('validate', async function () {
+    if (this.isModified('slug') && this.slug) {
+        this.slug = slugify(this.slug, 60);
+    } else if (this.isNew || this.isModified('name') || !this.slug) {
+        this.slug = slugify(this.name, 60);
+    }
+
+    if (!this.slug) {
+        this.invalidate('slug', 'Slug must contain letters or numbers');
+        return;
+    }
+    const taken = await this.constructor.exists({ _id: { $ne: this._id }, slug: this.slug });
+    if (taken) {
+        this.invalidate('slug', `Slug "${this.slug}" is already in use`);
+    }
+});
+
+export default mongoose.model('Category', categorySchema);
@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import crypto from "crypto";
+import { parseDate, escapeRegex } from "../utils/queryHelpers.js";
+
+export const FORM_STATUSES = ['new', 'in_progress', 'replied', 'closed', 'spam'];
 
 const formDataSchema = new mongoose.Schema({
     cNameOrName: {
@@ -24,11 +28,105 @@ const formDataSchema = new mongoose.Schema({
     , read: {
         type: Boolean,
         default: false
-    }
+    },
+    // Lead workflow
+    status: {
+        type: String,
+        enum: {
+            values: FORM_STATUSES,
+            message: `Status must be one of: ${FORM_STATUSES.join(', ')}`
+        },
+        default: 'new'
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    // Internal notes, never shown to the submitter
+    notes: [new mongoose.Schema({
+        author: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+        body: { type: String, required: [true, 'Please provide the note text'], trim: true, maxlength: [5000, 'Note cannot be more than 5000 characters'] }
+    }, { timestamps: { createdAt: true, updatedAt: false } })],
+    // Emails exchanged with the submitter, oldest first
+    thread: [new mongoose.Schema({
+        direction: { type: String, enum: ['outbound', 'inbound'], required: true },
+        from: { type: String },
+        to: { type: String },
+        subject: { type: String },
+        text: { type: String },
+        html: { type: String },
+        messageId: { type: String },
+        inReplyTo: { type: String },
+        references: [String],
+        sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+    }, { timestamps: { createdAt: true, updatedAt: false } })],
+    // History of everything that happened to this submission
+    activity: [new mongoose.Schema({
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+        type: { type: String, required: true },
+        details: { type: mongoose.Schema.Types.Mixed }
+    }, { _id: false, timestamps: { createdAt: true, updatedAt: false } })]
 }, { timestamps: true });
 
 // Indexes to speed up listing/sorting and unread counts
 formDataSchema.index({ createdAt: -1 });
 formDataSchema.index({ read: 1, createdAt: -1 });
+formDataSchema.index({ status: 1, createdAt: -1 });
+formDataSchema.index({ assignedTo: 1, createdAt: -1 });
+// Look up a submission from the Message-ID an inbound email refers to
+formDataSchema.index({ 'thread.messageId': 1 });
+
+// Generate a Message-ID for a new email in this submission's conversation.
+// The submission id is embedded so follow-ups can be traced back to it.
+formDataSchema.methods.newMessageId = function () {
+    const domain = (process.env.EMAIL_USER || '').split('@')[1] || 'kayceylon.local';
+    return `<form-${this._id}.${crypto.randomBytes(6).toString('hex')}@${domain}>`;
+};
+
+// Append an entry to the activity history (saved with the document)
+formDataSchema.methods.logActivity = function (actor, type, details) {
+    this.activity.push({
+        actor: actor ? actor._id : undefined,
+        type,
+        details
+    });
+};
+
+// Build a query filter from listing parameters:
+// read=true|false, status, assignedTo (admin id or `none`),
+// from/to (ISO dates on createdAt), q (search text)
+formDataSchema.statics.buildFilter = function (query = {}) {
+    const filter = {};
+
+    if (query.read === 'true' || query.read === 'false') {
+        filter.read = query.read === 'true';
+    }
+
+    if (FORM_STATUSES.includes(query.status)) {
+        filter.status = query.status;
+    }
+
+    if (query.assignedTo === 'none') {
+        filter.assignedTo = null;
+    } else if (query.assignedTo && mongoose.isValidObjectId(query.assignedTo)) {
+        filter.assignedTo = query.assignedTo;
+    }
+
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    if (query.q && String(query.q).trim()) {
+        const pattern = new RegExp(escapeRegex(String(query.q).trim()), 'i');
+        filter.$or = ['cNameOrName', 'email', 'phone', 'message'].map((field) => ({ [field]: pattern }));
+    }
+
+    return filter;
+};
 
 export default mongoose.model('FormData', formDataSchema);
\ No newline at end of file
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Please provide an email'],
+        lowercase: true,
+        trim: true,
+        match: [
+            /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+            'Please provide a valid email'
+        ]
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ['admin', 'super-admin'],
+            message: 'Role must be either admin or super-admin'
+        },
+        default: 'admin'
+    },
+    // Only the SHA-256 hash of the invite token is stored
+    token: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: {
+        type: Date
+    },
+    isRevoked: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+// Index for looking up pending invites for an email
+invitationSchema.index({ email: 1, acceptedAt: 1, isRevoked: 1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Method to check if the invitation can still be used
+invitationSchema.methods.isPending = function () {
+    return !this.acceptedAt && !this.isRevoked && Date.now() < this.expiresAt;
+};
+
+// Static method to create an invitation. Returns the document and the plain
+// token, which is only ever sent to the invitee by email.
+invitationSchema.statics.createInvitation = async function ({ email, role, invitedBy, expiresIn }) {
+    const plainToken = crypto.randomBytes(32).toString('hex');
+
+    // A new invite supersedes any earlier pending invites for the same email
+    await this.updateMany(
+        { email: email.toLowerCase(), acceptedAt: null, isRevoked: false },
+        { isRevoked: true }
+    );
+
+    const invitation = await this.create({
+        email,
+        role,
+        invitedBy,
+        token: hashToken(plainToken),
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+    });
+
+    return { invitation, plainToken };
+};
+
+// Static method to find a pending invitation by its plain token
+invitationSchema.statics.findValidByToken = async function (plainToken) {
+    return await this.findOne({
+        token: hashToken(plainToken),
+        acceptedAt: null,
+        isRevoked: false,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Static method to atomically mark an invitation as used
+invitationSchema.statics.consume = async function (invitationId) {
+    return await this.findOneAndUpdate(
+        { _id: invitationId, acceptedAt: null, isRevoked: false },
+        { acceptedAt: new Date() },
+        { new: true }
+    );
+};
+
+export default mongoose.model('Invitation', invitationSchema);
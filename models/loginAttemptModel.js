@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+
+// Failed-login tracking for brute-force and credential-stuffing protection.
+// One document per key: `account:<email>` or `ip:<address>`. Accounts are
+// tracked by the email that was tried, so unknown emails behave exactly like
+// real ones and lockouts do not reveal which accounts exist.
+const lockMinutes = () => parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+const POLICIES = {
+    account: {
+        delayAfter: 3,      // failures before progressive delays start
+        lockAfter: 10,      // failures before the account is locked
+        maxDelayMs: 60 * 1000
+    },
+    ip: {
+        delayAfter: 20,
+        lockAfter: 50,
+        maxDelayMs: 60 * 1000
+    }
+};
+
+// Failures older than this are forgotten
+const WINDOW_MS = 15 * 60 * 1000;
+
+const loginAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scope: {
+        type: String,
+        enum: ['account', 'ip'],
+        required: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: {
+        type: Date
+    },
+    // Earliest time the next attempt is accepted (progressive delay)
+    nextAttemptAt: {
+        type: Date
+    },
+    lockedUntil: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB remove records once their window or lock has passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const keyFor = (scope, value) => `${scope}:${String(value).toLowerCase()}`;
+
+// Static method to check whether any of the given [scope, value] pairs is
+// currently blocked. Returns { locked, retryAfter } (seconds) or null.
+loginAttemptSchema.statics.getBlock = async function (pairs) {
+    const now = new Date();
+    const docs = await this.find({
+        key: { $in: pairs.map(([scope, value]) => keyFor(scope, value)) },
+        expiresAt: { $gt: now }
+    });
+
+    let block = null;
+    for (const doc of docs) {
+        const until = doc.lockedUntil && doc.lockedUntil > now
+            ? { locked: true, at: doc.lockedUntil }
+            : doc.nextAttemptAt && doc.nextAttemptAt > now
+                ? { locked: false, at: doc.nextAttemptAt }
+                : null;
+
+        if (until && (!block || until.at > block.at)) {
+            block = until;
+        }
+    }
+
+    if (!block) return null;
+    return {
+        locked: block.locked,
+        retryAfter: Math.ceil((block.at - now) / 1000)
+    };
+};
+
+// Static method to record a failed attempt. Returns the updated record with
+// `justLocked` set when this failure caused a lock.
+loginAttemptSchema.statics.recordFailure = async function (scope, value) {
+    const policy = POLICIES[scope];
+    const key = keyFor(scope, value);
+    const now = new Date();
+
+    // One atomic upsert: count the failure in the live window, or start a new
+    // window when there is no record or only an expired leftover. Done as an
+    // update pipeline so the window check and the increment cannot interleave
+    // with a concurrent failure.
+    const live = { $gt: ['$expiresAt', now] };
+    const pipeline = [{
+        $set: {
+            scope,
+            failures: { $cond: [live, { $add: [{ $ifNull: ['$failures', 0] }, 1] }, 1] },
+            lastFailureAt: now,
+            nextAttemptAt: { $cond: [live, '$nextAttemptAt', '$$REMOVE'] },
+            lockedUntil: { $cond: [live, '$lockedUntil', '$$REMOVE'] },
+            expiresAt: { $cond: [live, '$expiresAt', new Date(now.getTime() + WINDOW_MS)] }
+        }
+    }];
+
+    let doc;
+    try {
+        doc = await this.findOneAndUpdate({ key }, pipeline, { new: true, upsert: true });
+    } catch (err) {
+        // Two first failures raced to insert; the retry updates the winner's record
+        if (err.code !== 11000) throw err;
+        doc = await this.findOneAndUpdate({ key }, pipeline, { new: true, upsert: true });
+    }
+
+    const update = { expiresAt: new Date(now.getTime() + WINDOW_MS) };
+    let justLocked = false;
+
+    if (doc.failures >= policy.lockAfter) {
+        justLocked = doc.failures === policy.lockAfter;
+        update.lockedUntil = new Date(now.getTime() + lockMinutes() * 60 * 1000);
+        update.expiresAt = update.lockedUntil;
+    } else if (doc.failures >= policy.delayAfter) {
+        // 1s, 2s, 4s, ... capped at maxDelayMs
+        const delayMs = Math.min(1000 * 2 ** (doc.failures - policy.delayAfter), policy.maxDelayMs);
+        update.nextAttemptAt = new Date(now.getTime() + delayMs);
+    }
+
+    await this.updateOne({ _id: doc._id }, update);
+
+    Object.assign(doc, update);
+    doc.justLocked = justLocked;
+    return doc;
+};
+
+// Static method to clear the failure record (successful login or manual unlock)
+loginAttemptSchema.statics.clear = async function (scope, value) {
+    return await this.deleteOne({ key: keyFor(scope, value) });
+};
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// Sent messages are kept for this long for inspection, then removed by MongoDB
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// An outgoing email waiting to be delivered by the outbox worker
+// (utils/mailQueue.js). Failed attempts are retried with exponential backoff;
+// after maxAttempts the message is parked as `dead` until an admin retries it.
+const outboxSchema = new mongoose.Schema({
+    // What the message is for, e.g. form.notification, blog.notification
+    category: {
+        type: String,
+        required: true
+    },
+    // The options passed to sendEmail (email, subject, message, html, replyTo, ...)
+    mail: {
+        email: { type: String, required: true },
+        subject: { type: String, required: true },
+        message: { type: String },
+        html: { type: String },
+        bcc: { type: String },
+        replyTo: { type: String },
+        messageId: { type: String },
+        inReplyTo: { type: String },
+        references: { type: [String], default: undefined },
+        headers: { type: mongoose.Schema.Types.Mixed },
+        unsubscribeUrl: { type: String }
+    },
+    status: {
+        type: String,
+        enum: OUTBOX_STATUSES,
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: () => parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 6
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Lease held by the worker delivering the message; a message left in
+    // `sending` past this time was interrupted and is picked up again
+    lockedUntil: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    sentAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+outboxSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+outboxSchema.index({ createdAt: -1 });
+
+export default mongoose.model('Outbox', outboxSchema);
@@ -19,9 +19,34 @@ const refreshTokenSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Set when the token was exchanged for a new one on refresh. A rotated token
+    // presented again means it was copied, unlike one revoked by logging out.
+    rotatedAt: {
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    // Device information recorded for session listing
+    userAgent: {
+        type: String,
+        maxlength: 512
+    },
+    ip: {
+        type: String
+    },
+    // A session outlives its tokens: refreshing replaces the token but keeps
+    // the session id and sign-in time, and moves lastUsedAt forward
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sessionStartedAt: {
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
     }
 }, {
     timestamps: true
@@ -31,6 +56,7 @@ const refreshTokenSchema = new mongoose.Schema({
 // Note: `token` has `unique: true` on the field definition, which creates an index.
 // Removing the explicit index declaration for `token` to avoid duplicate index warnings.
 refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ sessionId: 1 });
 refreshTokenSchema.index({ expiresAt: 1 });
 
 // Method to check if token is expired
@@ -45,13 +71,25 @@ refreshTokenSchema.methods.revoke = function () {
 };
 
 // Static method to create refresh token
-refreshTokenSchema.statics.createToken = async function (userId, token, expiresIn) {
-    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+// `client` optionally carries the { userAgent, ip } of the device signing in.
+// `previous` is the token this one replaces on refresh; the new token then
+// continues its session.
+refreshTokenSchema.statics.createToken = async function (userId, token, expiresIn, client = {}, previous = null) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + expiresIn * 1000);
+    const _id = new mongoose.Types.ObjectId();
 
     return await this.create({
+        _id,
         token,
         user: userId,
-        expiresAt
+        expiresAt,
+        // Tokens issued before sessions were tracked start theirs from their own id
+        sessionId: previous ? (previous.sessionId || previous._id) : _id,
+        sessionStartedAt: previous ? (previous.sessionStartedAt || previous.createdAt) : now,
+        lastUsedAt: now,
+        userAgent: client.userAgent ? String(client.userAgent).slice(0, 512) : undefined,
+        ip: client.ip
     });
 };
 
@@ -64,12 +102,33 @@ refreshTokenSchema.statics.findValidToken = async function (token) {
     }).populate('user');
 };
 
+// Static method to find an unexpired token whether or not it is revoked, so a
+// rotated token that is replayed can be detected as reuse
+refreshTokenSchema.statics.findUnexpiredToken = async function (token) {
+    return await this.findOne({
+        token,
+        expiresAt: { $gt: new Date() }
+    }).populate('user');
+};
+
 // Static method to revoke all tokens for a user
-refreshTokenSchema.statics.revokeAllForUser = async function (userId) {
-    return await this.updateMany(
-        { user: userId, isRevoked: false },
-        { isRevoked: true }
-    );
+// Pass `exceptToken` to keep one token (the caller's current session) active
+refreshTokenSchema.statics.revokeAllForUser = async function (userId, exceptToken) {
+    const filter = { user: userId, isRevoked: false };
+    if (exceptToken) {
+        filter.token = { $ne: exceptToken };
+    }
+
+    return await this.updateMany(filter, { isRevoked: true });
+};
+
+// Static method to list active sessions (valid refresh tokens) for a user
+refreshTokenSchema.statics.findActiveForUser = async function (userId) {
+    return await this.find({
+        user: userId,
+        isRevoked: false,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
 };
 
 // Static method to revoke specific token
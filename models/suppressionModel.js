@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Addresses that must never be (re-)added to the mailing list by an admin
+// action such as an import. Only the subscriber confirming a new double opt-in
+// takes an address off this list.
+const suppressionSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Please provide an email'],
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    reason: {
+        type: String,
+        enum: ['unsubscribed', 'bounced', 'complaint', 'manual'],
+        default: 'unsubscribed'
+    }
+}, { timestamps: true });
+
+// Static method to add an address (idempotent)
+suppressionSchema.statics.suppress = async function (email, reason = 'unsubscribed') {
+    return await this.findOneAndUpdate(
+        { email: String(email).toLowerCase() },
+        { $set: { reason } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Static method to check a single address
+suppressionSchema.statics.isSuppressed = async function (email) {
+    return Boolean(await this.exists({ email: String(email).toLowerCase() }));
+};
+
+export default mongoose.model('Suppression', suppressionSchema);
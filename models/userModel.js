@@ -43,8 +43,34 @@ const adminSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
-    passwordResetToken: String,
-    passwordResetExpires: Date
+    // Hashed reset token and its expiry; only queried, never returned
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    // TOTP two-factor authentication
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false
+    }
 }, {
     timestamps: true
 });
@@ -84,7 +110,9 @@ adminSchema.methods.generateAccessToken = function () {
 };
 
 // Generate JWT refresh token
-adminSchema.methods.generateRefreshToken = async function () {
+// `client` is the { userAgent, ip } of the device the session belongs to;
+// `previous` is the refresh token being rotated, whose session continues
+adminSchema.methods.generateRefreshToken = async function (client = {}, previous = null) {
     const refreshToken = jwt.sign(
         {
             id: this._id
@@ -110,11 +138,55 @@ adminSchema.methods.generateRefreshToken = async function () {
     }
 
     // Store refresh token in separate collection
-    await RefreshToken.createToken(this._id, refreshToken, expiresInSeconds);
+    await RefreshToken.createToken(this._id, refreshToken, expiresInSeconds, client, previous);
 
     return refreshToken;
 };
 
+// Generate a password reset token. Only the SHA-256 hash is stored on the
+// document; the plain token is returned so it can be emailed to the admin.
+adminSchema.methods.createPasswordResetToken = function () {
+    const resetToken = crypto.randomBytes(32).toString('hex');
 
+    this.passwordResetToken = crypto
+        .createHash('sha256')
+        .update(resetToken)
+        .digest('hex');
+
+    // Token is valid for 10 minutes
+    this.passwordResetExpires = Date.now() + 10 * 60 * 1000;
+
+    return resetToken;
+};
+
+// Generate a fresh set of single-use recovery codes. Only hashes are stored;
+// the plain codes are returned so they can be shown to the admin once.
+adminSchema.methods.createRecoveryCodes = function (count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    this.twoFactorRecoveryCodes = codes.map((code) =>
+        crypto.createHash('sha256').update(code).digest('hex')
+    );
+
+    return codes;
+};
+
+// Consume a recovery code; returns true if it was valid and unused
+adminSchema.methods.useRecoveryCode = function (code) {
+    const hashed = crypto
+        .createHash('sha256')
+        .update(String(code).trim().toLowerCase())
+        .digest('hex');
+
+    const index = (this.twoFactorRecoveryCodes || []).indexOf(hashed);
+    if (index === -1) return false;
+
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+};
 
 export default mongoose.model('Admin', adminSchema);
@@ -1,29 +1,115 @@
 import express from 'express';
 import * as authController from '../controllers/authController.js';
 import * as operationController from '../controllers/operationController.js';
-import upload from '../utils/multer.js';
+import * as invitationController from '../controllers/invitationController.js';
+import * as adminController from '../controllers/adminController.js';
+import * as auditController from '../controllers/auditController.js';
+import * as statsController from '../controllers/statsController.js';
+import * as exportController from '../controllers/exportController.js';
+import * as subscriberController from '../controllers/subscriberController.js';
+import * as campaignController from '../controllers/campaignController.js';
+import * as outboxController from '../controllers/outboxController.js';
+import * as emailTemplateController from '../controllers/emailTemplateController.js';
+import * as categoryController from '../controllers/categoryController.js';
+import * as blogRevisionController from '../controllers/blogRevisionController.js';
+import upload, { csvUpload } from '../utils/multer.js';
 
 const router = express.Router();
 
 
 router.post('/register', authController.register);
+router.post('/bootstrap', authController.bootstrap);
 router.post('/login', authController.login);
+router.post('/verifyTwoFactor', authController.verifyTwoFactorLogin);
 router.post('/refresh', authController.verifyRefreshToken, authController.refreshToken);
 router.post('/logout', authController.protect, authController.logout);
+router.get('/getMySessions', authController.protect, authController.getMySessions);
+router.delete('/revokeSession/:id', authController.protect, authController.revokeSession);
+router.post('/logoutOtherSessions', authController.protect, authController.logoutOtherSessions);
+router.post('/setupTwoFactor', authController.protect, authController.setupTwoFactor);
+router.post('/enableTwoFactor', authController.protect, authController.enableTwoFactor);
+router.post('/disableTwoFactor', authController.protect, authController.disableTwoFactor);
+router.post('/regenerateRecoveryCodes', authController.protect, authController.regenerateRecoveryCodes);
+router.post('/forgotPassword', authController.forgotPassword);
+router.patch('/resetPassword/:token', authController.resetPassword);
 
 
+router.post('/createInvitation', authController.protect, authController.authorize('super-admin'), invitationController.createInvitation);
+router.get('/getAllInvitations', authController.protect, authController.authorize('super-admin'), invitationController.getAllInvitations);
+router.patch('/revokeInvitation/:id', authController.protect, authController.authorize('super-admin'), invitationController.revokeInvitation);
+
+
+router.get('/getAllAdmins', authController.protect, authController.authorize('super-admin'), adminController.getAllAdmins);
+router.get('/getOneAdmin/:id', authController.protect, authController.authorize('super-admin'), adminController.getOneAdmin);
+router.patch('/updateAdminRole/:id', authController.protect, authController.authorize('super-admin'), adminController.updateAdminRole);
+router.patch('/deactivateAdmin/:id', authController.protect, authController.authorize('super-admin'), adminController.deactivateAdmin);
+router.patch('/reactivateAdmin/:id', authController.protect, authController.authorize('super-admin'), adminController.reactivateAdmin);
+router.patch('/unlockAdmin/:id', authController.protect, authController.authorize('super-admin'), adminController.unlockAdmin);
+router.get('/getAuditLogs', authController.protect, authController.authorize('super-admin'), auditController.getAuditLogs);
+
 router.post('/makeAForm', operationController.makeAForm);
-router.get('/getAllForms', authController.protect, authController.authorize('admin'), operationController.getAllForms);
-router.get('/getOneForm/:id', authController.protect, authController.authorize('admin'), operationController.getOneForm);
-router.delete('/deleteForm/:id', authController.protect, authController.authorize('admin'), operationController.deleteForm);
+router.get('/getAllForms', authController.protect, authController.authorize('admin', 'super-admin'), operationController.getAllForms);
+router.get('/getOneForm/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.getOneForm);
+router.patch('/markFormRead/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.markFormRead);
+router.patch('/markFormUnread/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.markFormUnread);
+router.patch('/updateFormStatus/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.updateFormStatus);
+router.patch('/assignForm/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.assignForm);
+router.post('/addFormNote/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.addFormNote);
+router.post('/replyToForm/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.replyToForm);
+router.get('/getFormThread/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.getFormThread);
+router.get('/getFormActivity/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.getFormActivity);
+router.delete('/deleteForm/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.deleteForm);
+
+
+router.get('/exportForms', authController.protect, authController.authorize('admin', 'super-admin'), exportController.exportForms);
+router.get('/exportSubscribers', authController.protect, authController.authorize('admin', 'super-admin'), exportController.exportSubscribers);
+router.get('/getDashboardStats', authController.protect, authController.authorize('admin', 'super-admin'), statsController.getDashboardStats);
+
+router.get('/getAllSubscribers', authController.protect, authController.authorize('admin', 'super-admin'), subscriberController.getAllSubscribers);
+router.delete('/deleteSubscriber/:id', authController.protect, authController.authorize('admin', 'super-admin'), subscriberController.deleteSubscriber);
+router.post('/importSubscribers', authController.protect, authController.authorize('admin', 'super-admin'), csvUpload.single('file'), subscriberController.importSubscribers);
+
+router.post('/createCampaign', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.createCampaign);
+router.get('/getAllCampaigns', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.getAllCampaigns);
+router.get('/getOneCampaign/:id', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.getOneCampaign);
+router.patch('/updateCampaign/:id', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.updateCampaign);
+router.delete('/deleteCampaign/:id', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.deleteCampaign);
+router.get('/previewCampaign/:id', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.previewCampaign);
+router.post('/sendTestCampaign/:id', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.sendTestCampaign);
+router.post('/scheduleCampaign/:id', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.scheduleCampaign);
+router.post('/cancelCampaign/:id', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.cancelCampaign);
+router.get('/getCampaignRecipients/:id', authController.protect, authController.authorize('admin', 'super-admin'), campaignController.getCampaignRecipients);
+
+router.get('/getOutboxMessages', authController.protect, authController.authorize('admin', 'super-admin'), outboxController.getOutboxMessages);
+router.get('/getOneOutboxMessage/:id', authController.protect, authController.authorize('admin', 'super-admin'), outboxController.getOneOutboxMessage);
+router.post('/retryOutboxMessage/:id', authController.protect, authController.authorize('admin', 'super-admin'), outboxController.retryOutboxMessage);
+router.post('/retryDeadOutboxMessages', authController.protect, authController.authorize('admin', 'super-admin'), outboxController.retryDeadOutboxMessages);
 
+router.get('/getEmailTemplates', authController.protect, authController.authorize('admin', 'super-admin'), emailTemplateController.getEmailTemplates);
+router.get('/previewEmailTemplate/:name', authController.protect, authController.authorize('admin', 'super-admin'), emailTemplateController.previewEmailTemplate);
 
 router.post('/callToAction', operationController.callToAction);
+router.post('/confirmSubscription/:token', operationController.confirmSubscription);
+router.get('/unsubscribe/:token', operationController.unsubscribePage);
+router.post('/unsubscribe/:token', operationController.unsubscribe);
 
 
-router.post('/makeABlog', authController.protect, upload.array('photos', 6), authController.authorize('admin'), operationController.makeABlog);
+router.post('/makeABlog', authController.protect, upload.array('photos', 6), authController.authorize('admin', 'super-admin'), operationController.makeABlog);
 router.get('/getAllBlogs', operationController.getAllBlogs);
-router.patch('/updateBlog/:id', authController.protect, upload.array('photos', 6), authController.authorize('admin'), operationController.updateBlog);
-router.delete('/deleteBlog/:id', authController.protect, authController.authorize('admin'), operationController.deleteBlog);
+router.patch('/updateBlog/:id', authController.protect, upload.array('photos', 6), authController.authorize('admin', 'super-admin'), operationController.updateBlog);
+router.delete('/deleteBlog/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.deleteBlog);
 router.get('/getOneBlog/:id', operationController.getOneBlog);
+router.get('/getBlogBySlug/:slug', operationController.getBlogBySlug);
+router.get('/getAllBlogsAdmin', authController.protect, authController.authorize('admin', 'super-admin'), operationController.getAllBlogsAdmin);
+router.get('/getOneBlogAdmin/:id', authController.protect, authController.authorize('admin', 'super-admin'), operationController.getOneBlogAdmin);
+router.get('/getBlogTags', operationController.getBlogTags);
+router.get('/searchBlogs', operationController.searchBlogs);
+router.get('/getBlogRevisions/:id', authController.protect, authController.authorize('admin', 'super-admin'), blogRevisionController.getBlogRevisions);
+router.get('/getBlogRevision/:id/:version', authController.protect, authController.authorize('admin', 'super-admin'), blogRevisionController.getBlogRevision);
+router.get('/diffBlogRevisions/:id', authController.protect, authController.authorize('admin', 'super-admin'), blogRevisionController.diffBlogRevisions);
+router.post('/restoreBlogRevision/:id/:version', authController.protect, authController.authorize('admin', 'super-admin'), blogRevisionController.restoreBlogRevision);
+router.post('/createCategory', authController.protect, authController.authorize('admin', 'super-admin'), categoryController.createCategory);
+router.get('/getAllCategories', categoryController.getAllCategories);
+router.patch('/updateCategory/:id', authController.protect, authController.authorize('admin', 'super-admin'), categoryController.updateCategory);
+router.delete('/deleteCategory/:id', authController.protect, authController.authorize('admin', 'super-admin'), categoryController.deleteCategory);
 export default router;
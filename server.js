@@ -17,6 +17,11 @@ dotenv.config({ path: './config.env' });
 // Import routes
 import authRoutes from './routes/authRouter.js';
 import RefreshToken from './models/refreshTokenModel.js';
+import Blog from './models/blogModel.js';
+import { processDueCampaigns } from './utils/campaignSender.js';
+import { publishDueBlogs } from './utils/blogPublisher.js';
+import { processOutbox } from './utils/mailQueue.js';
+import { verifyEmailTransport } from './utils/emailService.js';
 import globalErrorHandler from './controllers/errorController.js';
 
 const app = express();
@@ -190,6 +195,24 @@ const connectWithRetry = async () => {
     }
 };
 
+// Give posts created before slugs existed a slug, and mark posts from before
+// the publishing lifecycle as announced, once the database is reachable
+mongoose.connection.once('open', async () => {
+    try {
+        const count = await Blog.backfillSlugs();
+        if (count > 0) {
+            console.log(`Generated slugs for ${count} blog posts`);
+        }
+    } catch (error) {
+        console.error('Error generating blog slugs:', error);
+    }
+    try {
+        await Blog.backfillNotified();
+    } catch (error) {
+        console.error('Error marking existing blog posts as announced:', error);
+    }
+});
+
 // Start initial connection attempts
 connectWithRetry();
 
@@ -225,6 +248,10 @@ const server = app.listen(PORT, () => {
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Report a misconfigured mail server at startup; the outbox keeps retrying
+// queued emails until it is fixed
+verifyEmailTransport();
+
 server.on('error', (err) => {
     if (err && err.code === 'EADDRINUSE') {
         console.error(`Port ${PORT} is already in use. Another process is listening on that port.`);
@@ -247,6 +274,34 @@ setInterval(async () => {
     }
 }, 60 * 60 * 1000); // Run every hour
 
+// Deliver queued emails that are due (new messages are also delivered as soon
+// as they are queued; this picks up retries and messages left by a restart)
+setInterval(async () => {
+    try {
+        await processOutbox();
+    } catch (error) {
+        console.error('Error processing email outbox:', error);
+    }
+}, 30 * 1000);
+
+// Publish scheduled blog posts that are due (and notify subscribers) every minute
+setInterval(async () => {
+    try {
+        await publishDueBlogs();
+    } catch (error) {
+        console.error('Error publishing scheduled blog posts:', error);
+    }
+}, 60 * 1000);
+
+// Send scheduled newsletter campaigns and resume interrupted ones every minute
+setInterval(async () => {
+    try {
+        await processDueCampaigns();
+    } catch (error) {
+        console.error('Error processing campaigns:', error);
+    }
+}, 60 * 1000);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
     console.log(`Error: ${err.message}`);
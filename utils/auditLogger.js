@@ -0,0 +1,63 @@
+import AuditLog from '../models/auditLogModel.js';
+
+// Fields that never belong in an audit trail
+const REDACTED_FIELDS = [
+    'password',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'twoFactorSecret',
+    'twoFactorRecoveryCodes',
+    'twoFactorLastUsedStep',
+    'token'
+];
+
+// Bookkeeping fields that change on every write, and embedded histories
+// that are already a record of their own
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'activity', 'thread'];
+
+const toPlain = (doc) => {
+    if (!doc) return {};
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    return JSON.parse(JSON.stringify(plain));
+};
+
+// Reduce two versions of a document to the fields that differ
+export function diff(before, after) {
+    const a = toPlain(before);
+    const b = toPlain(after);
+    const changes = { before: {}, after: {} };
+
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+        if (IGNORED_FIELDS.includes(key)) continue;
+        if (JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+
+        const redacted = REDACTED_FIELDS.includes(key);
+        if (key in a) changes.before[key] = redacted ? '[REDACTED]' : a[key];
+        if (key in b) changes.after[key] = redacted ? '[REDACTED]' : b[key];
+    }
+
+    return changes;
+}
+
+// Record an audit entry for the current request. Failures are logged and
+// swallowed: an audit outage must never block the action being audited.
+export async function audit(req, { action, targetModel, targetId, before, after, actor, metadata }) {
+    try {
+        const admin = actor || (req && req.admin);
+
+        await AuditLog.create({
+            actor: admin ? admin._id : undefined,
+            actorEmail: admin ? admin.email : undefined,
+            action,
+            targetModel,
+            targetId,
+            changes: before || after ? diff(before, after) : undefined,
+            metadata,
+            ip: req ? req.ip : undefined,
+            userAgent: req ? req.get('user-agent') : undefined
+        });
+    } catch (err) {
+        console.error(`[audit] Failed to record ${action}:`, err && err.message ? err.message : err);
+    }
+}
@@ -0,0 +1,88 @@
+import Blog from '../models/blogModel.js';
+import CallToAction from '../models/callToAction.js';
+import Suppression from '../models/suppressionModel.js';
+import { enqueueEmail } from './mailQueue.js';
+import { renderTemplate } from './emailTemplates/index.js';
+
+// Emails the admin and subscribers about a newly published post, once per post.
+// Called when a post is published directly and by the scheduler below.
+export async function notifyBlogPublished(blog) {
+    // Claim the notification so concurrent callers cannot both send it
+    const claimed = await Blog.findOneAndUpdate(
+        { _id: blog._id, notifiedAt: null },
+        { $set: { notifiedAt: new Date() } }
+    );
+    if (!claimed) return false;
+
+    const { title, content, link } = blog;
+
+    // Notify admin with a professional summary email
+    try {
+        const publishedAt = (blog.publishedAt || new Date()).toLocaleString();
+        const excerpt = (content && content.length > 300) ? `${content.slice(0, 300).trim()}...` : content;
+        const adminEmail = renderTemplate('blog.admin-notification', { title, link, excerpt, publishedAt });
+
+        await enqueueEmail('blog.admin-notification', {
+            email: process.env.EMAIL_USER,
+            subject: adminEmail.subject,
+            message: adminEmail.text,
+            html: adminEmail.html
+        });
+    } catch (err) {
+        console.error('Error queueing admin blog notification:', err);
+    }
+
+    // Queue an individual email per call-to-action subscriber so each one
+    // carries its own unsubscribe link; the outbox delivers them
+    try {
+        // Only confirmed subscribers; pending addresses never opted in
+        const subscribers = await CallToAction.find(CallToAction.confirmedFilter()).select('email -_id');
+        const suppressed = new Set(
+            (await Suppression.find({ email: { $in: subscribers.map(s => s.email) } }).select('email -_id'))
+                .map(s => s.email)
+        );
+        const emails = subscribers.map(s => s.email).filter(email => email && !suppressed.has(email));
+
+        if (emails.length > 0) {
+            await enqueueEmail('blog.notification', emails.map((email) => {
+                const unsubscribe = CallToAction.unsubscribeLinks(email);
+                const { subject, text, html } = renderTemplate('blog.notification', { title, link, unsubscribeUrl: unsubscribe.page });
+                return {
+                    email,
+                    subject,
+                    message: text,
+                    html,
+                    unsubscribeUrl: unsubscribe.oneClick
+                };
+            }));
+        }
+    } catch (err) {
+        console.error('Error queueing subscriber notifications:', err);
+    }
+
+    return true;
+}
+
+// Publish every scheduled post whose publishAt has passed, then notify
+// subscribers about it. Runs on an interval from server.js.
+export async function publishDueBlogs() {
+    let published = 0;
+
+    for (;;) {
+        const now = new Date();
+        // eslint-disable-next-line no-await-in-loop
+        const blog = await Blog.findOneAndUpdate(
+            { status: 'scheduled', publishAt: { $lte: now } },
+            { $set: { status: 'published', publishedAt: now }, $unset: { publishAt: 1 } },
+            { new: true, sort: { publishAt: 1 } }
+        );
+        if (!blog) break;
+
+        published++;
+        console.log(`[blogs] Published scheduled post ${blog._id} (${blog.slug})`);
+        // eslint-disable-next-line no-await-in-loop
+        await notifyBlogPublished(blog);
+    }
+
+    return published;
+}
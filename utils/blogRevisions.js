@@ -0,0 +1,109 @@
+import BlogRevision, { REVISION_FIELDS, photoPublicIds } from '../models/blogRevisionModel.js';
+import cloudinary from './cloudinary.js';
+
+// Revisions kept per post; older ones are pruned along with photos nothing else uses
+const revisionLimit = () => Math.max(parseInt(process.env.BLOG_REVISION_LIMIT, 10) || 20, 1);
+
+// Remove images from Cloudinary, logging (not throwing) failures
+export async function destroyImages(publicIds) {
+    for (const publicId of publicIds) {
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            await cloudinary.uploader.destroy(publicId);
+        } catch (err) {
+            console.error(`[blogs] Error deleting image ${publicId} from Cloudinary:`, err.message || err);
+        }
+    }
+}
+
+const snapshot = (blog) => {
+    const data = {};
+    for (const field of REVISION_FIELDS) {
+        const value = blog.get(field);
+        data[field] = value && value.toObject ? value.toObject() : value;
+    }
+    // The category may be populated
+    if (data.category && data.category._id) data.category = data.category._id;
+    return data;
+};
+
+// Two saves racing for the same number: the loser takes the next one
+const insertRevision = async (blog, { editedBy, reason, restoredFrom }) => {
+    for (let attempt = 0; ; attempt++) {
+        // eslint-disable-next-line no-await-in-loop
+        const latest = await BlogRevision.findOne({ blog: blog._id }).sort({ version: -1 }).select('version');
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            return await BlogRevision.create({
+                ...snapshot(blog),
+                blog: blog._id,
+                version: latest ? latest.version + 1 : 1,
+                editedBy,
+                reason,
+                restoredFrom
+            });
+        } catch (err) {
+            if (err.code !== 11000 || attempt >= 2) throw err;
+        }
+    }
+};
+
+// Store the current state of `blog` as its next revision, then prune old ones.
+// Called after the post is saved, so failures are logged and swallowed (the
+// revision is missing from the history) rather than failing a committed update.
+// Returns the revision, or null when it could not be recorded.
+export async function recordRevision(blog, { editedBy, reason, restoredFrom } = {}) {
+    let revision;
+    try {
+        revision = await insertRevision(blog, { editedBy, reason, restoredFrom });
+    } catch (err) {
+        console.error(`[blogs] Error recording a revision of blog ${blog._id}:`, err.message || err);
+        return null;
+    }
+
+    try {
+        await pruneRevisions(blog);
+    } catch (err) {
+        console.error(`[blogs] Error pruning the revisions of blog ${blog._id}:`, err.message || err);
+    }
+    return revision;
+}
+
+// Posts created before revisions existed get their current state recorded
+// before the first tracked update, so that update can be undone too
+export async function ensureBaselineRevision(blog) {
+    if (await BlogRevision.exists({ blog: blog._id })) return;
+    await recordRevision(blog, { reason: 'baseline' });
+}
+
+// Drop revisions beyond the limit. Their photos are deleted from Cloudinary
+// unless the post or a remaining revision still uses them.
+export async function pruneRevisions(blog) {
+    const stale = await BlogRevision.find({ blog: blog._id })
+        .sort({ version: -1 })
+        .skip(revisionLimit())
+        .select('photo');
+    if (stale.length === 0) return 0;
+
+    await BlogRevision.deleteMany({ _id: { $in: stale.map((r) => r._id) } });
+
+    const kept = await BlogRevision.find({ blog: blog._id }).select('photo');
+    const inUse = new Set([blog, ...kept].flatMap(photoPublicIds));
+    const orphaned = [...new Set(stale.flatMap(photoPublicIds))].filter((id) => !inUse.has(id));
+    await destroyImages(orphaned);
+
+    return stale.length;
+}
+
+// Remove every revision of a deleted post along with all of its photos. The
+// post is already gone, so failures are logged rather than thrown.
+export async function deleteRevisions(blog) {
+    let revisions = [];
+    try {
+        revisions = await BlogRevision.find({ blog: blog._id }).select('photo');
+        await BlogRevision.deleteMany({ blog: blog._id });
+    } catch (err) {
+        console.error(`[blogs] Error deleting the revisions of blog ${blog._id}:`, err.message || err);
+    }
+    await destroyImages([...new Set([blog, ...revisions].flatMap(photoPublicIds))]);
+}
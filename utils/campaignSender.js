@@ -0,0 +1,269 @@
+import Campaign from '../models/campaignModel.js';
+import CampaignRecipient from '../models/campaignRecipientModel.js';
+import CallToAction from '../models/callToAction.js';
+import Suppression from '../models/suppressionModel.js';
+import sendEmail from './emailService.js';
+import { renderTemplate } from './emailTemplates/index.js';
+import { retryDelay } from './mailQueue.js';
+
+// Sends campaigns to their recipients in batches. Progress is stored per
+// recipient, so a send interrupted by a crash or restart resumes with the
+// recipients still `pending` once its lease expires. A recipient whose email
+// went out just before a crash may receive it twice (at-least-once delivery).
+// Emails go out a few at a time so the mail server is not flooded, and a failed
+// send is retried with backoff before the recipient is marked failed.
+
+const BATCH_SIZE = 50;
+// Emails in flight at once within a batch
+const SEND_CONCURRENCY = 3;
+// Sends per recipient before giving up on the address
+const MAX_RECIPIENT_ATTEMPTS = 3;
+const PREPARE_CHUNK_SIZE = 500;
+// How long a sending process owns a campaign without renewing its lease
+const LEASE_MS = 5 * 60 * 1000;
+
+// Rough plain-text version of an HTML body for clients that do not render HTML
+export function htmlToText(html) {
+    return String(html)
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Email for one recipient, with their unsubscribe link in the footer and headers
+export function renderCampaign(campaign, email) {
+    const unsubscribe = CallToAction.unsubscribeLinks(email);
+    const { subject, html, text } = renderTemplate('newsletter.campaign', {
+        subject: campaign.subject,
+        html: campaign.html,
+        text: campaign.text || htmlToText(campaign.html),
+        unsubscribeUrl: unsubscribe.page
+    });
+
+    return { subject, html, text, unsubscribeUrl: unsubscribe.oneClick };
+}
+
+// Take the lease on a campaign matching `filter` that nobody else is sending
+const claimCampaign = async (filter) => {
+    const now = new Date();
+    return await Campaign.findOneAndUpdate(
+        {
+            ...filter,
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+        },
+        { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+        { new: true, sort: { scheduledAt: 1 } }
+    );
+};
+
+// Write one CampaignRecipient per address in the segment. Safe to repeat after
+// an interruption; addresses already written are ignored by the unique index.
+const prepareRecipients = async (campaign) => {
+    const cursor = CallToAction.find(campaign.recipientFilter()).select('email').lean().cursor();
+
+    let chunk = [];
+    const flush = async () => {
+        if (chunk.length === 0) return;
+        const docs = chunk.map((email) => ({ campaign: campaign._id, email }));
+        chunk = [];
+        try {
+            await CampaignRecipient.insertMany(docs, { ordered: false });
+        } catch (err) {
+            if (!err.writeErrors || err.writeErrors.some((e) => (e.code ?? (e.err && e.err.code)) !== 11000)) throw err;
+        }
+    };
+
+    for await (const subscriber of cursor) {
+        chunk.push(subscriber.email);
+        if (chunk.length >= PREPARE_CHUNK_SIZE) await flush();
+    }
+    await flush();
+
+    const total = await CampaignRecipient.countDocuments({ campaign: campaign._id });
+    await Campaign.updateOne(
+        { _id: campaign._id },
+        { $set: { recipientsPreparedAt: new Date(), 'stats.total': total } }
+    );
+};
+
+// Run `task` over `items` with at most `limit` running at once, like
+// Promise.allSettled
+const settleWithLimit = async (items, limit, task) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                results[i] = { status: 'fulfilled', value: await task(items[i]) };
+            } catch (reason) {
+                results[i] = { status: 'rejected', reason };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+// Send one batch of pending recipients that are due. Returns 'sent' after a
+// batch, 'waiting' (with `until`) when the only ones left are waiting to be
+// retried, or 'done' when none are left.
+const sendBatch = async (campaign) => {
+    const now = new Date();
+    const recipients = await CampaignRecipient.find({
+        campaign: campaign._id,
+        status: 'pending',
+        $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+    })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE);
+
+    if (recipients.length === 0) {
+        const waiting = await CampaignRecipient.findOne({ campaign: campaign._id, status: 'pending' })
+            .sort({ nextAttemptAt: 1 })
+            .select('nextAttemptAt');
+        return waiting ? { state: 'waiting', until: waiting.nextAttemptAt } : { state: 'done' };
+    }
+
+    // Addresses may have unsubscribed since the list was prepared
+    const suppressed = new Set(
+        (await Suppression.find({ email: { $in: recipients.map(r => r.email) } }).select('email -_id'))
+            .map(s => s.email)
+    );
+
+    const results = await settleWithLimit(recipients, SEND_CONCURRENCY, async (recipient) => {
+        if (suppressed.has(recipient.email)) return 'skipped';
+        const { subject, html, text, unsubscribeUrl } = renderCampaign(campaign, recipient.email);
+        await sendEmail({ email: recipient.email, subject, message: text, html, unsubscribeUrl });
+        return 'sent';
+    });
+
+    const doneAt = new Date();
+    const counts = { sent: 0, failed: 0, skipped: 0 };
+    const updates = results.map((result, i) => {
+        const recipient = recipients[i];
+        let update;
+
+        if (result.status === 'fulfilled') {
+            counts[result.value] += 1;
+            update = {
+                $set: { status: result.value, ...(result.value === 'sent' ? { sentAt: doneAt } : {}) },
+                $unset: { nextAttemptAt: 1, error: 1 },
+                $inc: { attempts: result.value === 'skipped' ? 0 : 1 }
+            };
+        } else {
+            // Throttling and other temporary errors are common; try again later
+            // and only count the address as failed once the attempts run out
+            const attempts = recipient.attempts + 1;
+            const failed = attempts >= MAX_RECIPIENT_ATTEMPTS;
+            if (failed) counts.failed += 1;
+            update = {
+                $set: {
+                    error: String(result.reason && result.reason.message || result.reason),
+                    ...(failed
+                        ? { status: 'failed' }
+                        : { nextAttemptAt: new Date(doneAt.getTime() + retryDelay(attempts)) })
+                },
+                $inc: { attempts: 1 },
+                ...(failed ? { $unset: { nextAttemptAt: 1 } } : {})
+            };
+        }
+
+        return { updateOne: { filter: { _id: recipient._id }, update } };
+    });
+
+    await CampaignRecipient.bulkWrite(updates, { ordered: false });
+    await Campaign.updateOne(
+        { _id: campaign._id },
+        {
+            $inc: { 'stats.sent': counts.sent, 'stats.failed': counts.failed, 'stats.skipped': counts.skipped },
+            $set: { lockedUntil: new Date(Date.now() + LEASE_MS) }
+        }
+    );
+
+    return { state: 'sent' };
+};
+
+const runCampaign = async (campaign) => {
+    if (!campaign.startedAt) {
+        campaign.startedAt = new Date();
+        await Campaign.updateOne({ _id: campaign._id }, { $set: { startedAt: campaign.startedAt } });
+    }
+
+    if (!campaign.recipientsPreparedAt) {
+        await prepareRecipients(campaign);
+    }
+
+    for (;;) {
+        // Stop between batches if the campaign was cancelled
+        const current = await Campaign.findById(campaign._id).select('status');
+        if (!current || current.status !== 'sending') break;
+
+        // eslint-disable-next-line no-await-in-loop
+        const batch = await sendBatch(campaign);
+        if (batch.state === 'waiting') {
+            // Hold the lease until the first retry is due so the scheduler does
+            // not pick the campaign straight back up
+            await Campaign.updateOne(
+                { _id: campaign._id, status: 'sending' },
+                { $set: { lockedUntil: batch.until } }
+            );
+            break;
+        }
+        if (batch.state === 'done') {
+            await Campaign.updateOne(
+                { _id: campaign._id, status: 'sending' },
+                { $set: { status: 'sent', completedAt: new Date() }, $unset: { lockedUntil: 1 } }
+            );
+            console.log(`[campaigns] Campaign ${campaign._id} sent`);
+            break;
+        }
+    }
+
+    await Campaign.updateOne({ _id: campaign._id, status: 'cancelled' }, { $unset: { lockedUntil: 1 } });
+};
+
+let processing = false;
+
+// Send every campaign that is due, and resume sends whose lease has expired.
+// Called on an interval from server.js and right after "send now".
+export async function processDueCampaigns() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        for (;;) {
+            const campaign = await claimCampaign({
+                $and: [{
+                    $or: [
+                        { status: 'scheduled', scheduledAt: { $lte: new Date() } },
+                        { status: 'sending' }
+                    ]
+                }]
+            });
+            if (!campaign) break;
+
+            try {
+                await runCampaign(campaign);
+            } catch (err) {
+                // Leave the lease to expire so the next run resumes the campaign
+                console.error(`[campaigns] Sending campaign ${campaign._id} failed:`, err && err.message ? err.message : err);
+                break;
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
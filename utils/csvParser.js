@@ -0,0 +1,48 @@
+// Minimal RFC 4180 CSV parser for small uploads (quoted fields, escaped quotes,
+// CRLF or LF line endings, UTF-8 BOM). Returns an array of rows of strings.
+
+export function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line without a trailing newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
@@ -1,36 +1,68 @@
-import nodemailer from 'nodemailer';
 import dotenv from 'dotenv'
+import { createTransport } from './emailTransports.js';
 dotenv.config({ path: './config.env' });
-const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: true,
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-    },
-});
+
+// Created on first use from EMAIL_TRANSPORT (see utils/emailTransports.js)
+let transport;
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransport(String(process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase());
+    }
+    return transport;
+};
+
+// Check the configured transport at startup so a bad SMTP setup shows up in
+// the logs straight away rather than on the first form submission
+export const verifyEmailTransport = async () => {
+    try {
+        const { name, from, verify } = getTransport();
+        await verify();
+        console.log(`[emailService] Using ${name} transport, sending as ${process.env.EMAIL_FROM || from}`);
+        return true;
+    } catch (err) {
+        console.error('[emailService] Could not verify the email transport:', err && err.message ? err.message : err);
+        return false;
+    }
+};
+
+export { getSentEmails, clearSentEmails } from './emailTransports.js';
 
 
 const sendEmail = async (options) => {
     try {
         const mailOptions = {
-            from: `"kayceylon" <${process.env.EMAIL_USER}>`,
+            from: process.env.EMAIL_FROM || getTransport().from,
             to: options.email,
             subject: options.subject,
             text: options.message,
             // include html body when provided
             ...(options.html ? { html: options.html } : {}),
             ...(options.bcc ? { bcc: options.bcc } : {}),
-            ...(options.replyTo ? { replyTo: options.replyTo } : {})
+            ...(options.replyTo ? { replyTo: options.replyTo } : {}),
+            // threading headers so replies can be correlated with a conversation
+            ...(options.messageId ? { messageId: options.messageId } : {}),
+            ...(options.inReplyTo ? { inReplyTo: options.inReplyTo } : {}),
+            ...(options.references ? { references: options.references } : {}),
+            ...(options.headers || options.unsubscribeUrl
+                ? {
+                    headers: {
+                        ...options.headers,
+                        // RFC 8058 one-click unsubscribe for subscriber emails
+                        ...(options.unsubscribeUrl ? {
+                            'List-Unsubscribe': `<${options.unsubscribeUrl}>`,
+                            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                        } : {})
+                    }
+                }
+                : {})
         };
 
-        const info = await transporter.sendMail(mailOptions);
+        const info = await getTransport().transporter.sendMail(mailOptions);
         if (options.bcc) console.log(`[emailService] Sent email (subject: ${options.subject}) to ${options.email} with BCC count: ${options.bcc.split(',').length}`);
         return info;
     } catch (err) {
         console.log(err);
-        throw new Error('Error sending email. Try again later!');
+        throw new Error('Error sending email. Try again later!', { cause: err });
 
     }
 }
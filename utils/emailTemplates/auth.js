@@ -0,0 +1,80 @@
+import { html, safeUrl } from './html.js';
+import { layout, textLayout, button, BRAND_NAME } from './layout.js';
+
+export default [
+    {
+        name: 'auth.password-reset',
+        version: 1,
+        description: 'Password reset link for an admin',
+        sample: { name: 'Alex Admin', resetUrl: 'https://example.com/reset-password/TOKEN', minutes: 10 },
+        subject: () => `Password Reset Request — ${BRAND_NAME}`,
+        html: (d) => layout({
+            title: 'Password Reset Request',
+            accent: 'info',
+            body: html`
+                <p style="margin:0 0 12px;">Hello ${d.name},</p>
+                <p style="margin:0 0 12px;">We received a request to reset the password for your ${BRAND_NAME} admin account. The link below is valid for <strong>${d.minutes} minutes</strong>.</p>
+                ${button(safeUrl(d.resetUrl), 'Reset Password')}
+                <p style="margin:0; color:#666; font-size:13px;">If you did not request a password reset, you can safely ignore this email; your password will not change.</p>`
+        }),
+        text: (d) => textLayout(`Hello ${d.name},
+
+We received a request to reset the password for your ${BRAND_NAME} admin account.
+
+Reset your password using the link below. The link is valid for ${d.minutes} minutes:
+${d.resetUrl}
+
+If you did not request a password reset, you can safely ignore this email; your password will not change.`)
+    },
+    {
+        name: 'auth.account-locked',
+        version: 1,
+        description: 'Sent to an admin whose account was locked after too many failed logins',
+        sample: { name: 'Alex Admin', ip: '203.0.113.7', until: '1/1/2025, 10:15:00 AM' },
+        subject: () => `Your ${BRAND_NAME} admin account has been locked`,
+        html: (d) => layout({
+            title: 'Account Temporarily Locked',
+            accent: 'danger',
+            body: html`
+                <p style="margin:0 0 12px;">Hello ${d.name},</p>
+                <p style="margin:0 0 12px;">Your ${BRAND_NAME} admin account was temporarily locked after too many failed sign-in attempts. The most recent attempt came from IP address <strong>${d.ip}</strong>.</p>
+                <p style="margin:0 0 12px;">The lock is lifted automatically at <strong>${d.until}</strong>. A super-admin can also unlock the account sooner.</p>
+                <p style="margin:0; color:#666; font-size:13px;">If these attempts were not made by you, reset your password and consider enabling two-factor authentication.</p>`
+        }),
+        text: (d) => textLayout(`Hello ${d.name},
+
+Your ${BRAND_NAME} admin account was temporarily locked after too many failed sign-in attempts. The most recent attempt came from IP address ${d.ip}.
+
+The lock is lifted automatically at ${d.until}. A super-admin can also unlock the account sooner.
+
+If these attempts were not made by you, reset your password and consider enabling two-factor authentication.`)
+    },
+    {
+        name: 'admin.invitation',
+        version: 1,
+        description: 'Invitation to create an admin account',
+        sample: {
+            inviterName: 'Alex Admin',
+            role: 'admin',
+            inviteUrl: 'https://example.com/accept-invite/TOKEN',
+            expiresAt: '1/4/2025, 10:00:00 AM'
+        },
+        subject: () => `You have been invited to the ${BRAND_NAME} admin panel`,
+        html: (d) => layout({
+            title: 'Admin Invitation',
+            body: html`
+                <p style="margin:0 0 12px;">Hello,</p>
+                <p style="margin:0 0 12px;"><strong>${d.inviterName}</strong> has invited you to join the ${BRAND_NAME} admin panel as <strong>${d.role}</strong>.</p>
+                ${button(safeUrl(d.inviteUrl), 'Create Account')}
+                <p style="margin:0; color:#666; font-size:13px;">This link can be used once and expires on ${d.expiresAt}. If you were not expecting this invitation, you can ignore this email.</p>`
+        }),
+        text: (d) => textLayout(`Hello,
+
+${d.inviterName} has invited you to join the ${BRAND_NAME} admin panel as ${d.role}.
+
+Create your account using the link below. The link can be used once and expires on ${d.expiresAt}:
+${d.inviteUrl}
+
+If you were not expecting this invitation, you can ignore this email.`)
+    }
+];
@@ -0,0 +1,36 @@
+import { html, nl2br, safeUrl } from './html.js';
+import { layout, textLayout, button } from './layout.js';
+
+export default [
+    {
+        name: 'blog.admin-notification',
+        version: 1,
+        description: 'Sent to the site admin when a blog post is published',
+        sample: {
+            title: 'Ten tips for <better> gardens',
+            link: 'https://example.com/blog/ten-tips',
+            excerpt: 'Gardening is easier than it looks.\nStart with good soil...',
+            publishedAt: '1/1/2025, 10:00:00 AM'
+        },
+        subject: (d) => `New Blog Published: ${d.title}`,
+        html: (d) => layout({
+            title: d.title,
+            subtitle: `Published: ${d.publishedAt}`,
+            body: html`
+                <p style="color:#444; margin:0 0 12px;">A new blog post has been published. Below is a short excerpt; click the button to read the full article.</p>
+                <div style="padding:12px; background:#f8f9fa; border-radius:6px; border:1px solid #e9ecef; color:#222; margin-bottom:12px;">${d.excerpt ? nl2br(d.excerpt) : 'No excerpt available.'}</div>
+                ${button(safeUrl(d.link), 'View Full Article')}
+                <p style="color:#6c757d; font-size:13px; margin-top:8px;">This notification was generated automatically. Reply to this email for follow-up.</p>`
+        }),
+        text: (d) => textLayout(`A new blog post has been published.
+
+Title: ${d.title}
+Published: ${d.publishedAt}
+Link: ${d.link}
+
+Excerpt:
+${d.excerpt || 'No excerpt available.'}
+
+Please review and publish/promote as needed.`)
+    }
+];
@@ -0,0 +1,104 @@
+import { html, nl2br, safeUrl } from './html.js';
+import { layout, textLayout, BRAND_NAME } from './layout.js';
+
+const row = (label, value) => html`<tr><td style="padding:6px 0; width:170px; font-weight:600;">${label}</td><td style="padding:6px 0;">${value}</td></tr>`;
+
+export default [
+    {
+        name: 'form.notification',
+        version: 1,
+        description: 'Sent to the site admin when someone submits the contact form',
+        sample: {
+            cNameOrName: 'Jane Doe <Acme Ltd>',
+            email: 'jane@example.com',
+            phone: '+1 555 0100',
+            address: '1 Main Street, Springfield',
+            message: 'Hello,\nI would like a quote for your services.',
+            receivedAt: '1/1/2025, 10:00:00 AM'
+        },
+        subject: (d) => `New Form Submission: ${d.cNameOrName}`,
+        html: (d) => layout({
+            title: 'New Form Submission',
+            subtitle: `Received: ${d.receivedAt}`,
+            accent: 'info',
+            body: html`
+                <h3 style="margin-top:0; color:#222;">Submission details</h3>
+                <table style="width:100%; border-collapse:collapse; font-size:14px; color:#444;">
+                    ${row('Name / Company', d.cNameOrName)}
+                    ${row('Email', html`<a href="${safeUrl(`mailto:${d.email}`)}" style="color:#0066cc; text-decoration:none;">${d.email}</a>`)}
+                    ${row('Phone', d.phone)}
+                    ${row('Address', d.address)}
+                </table>
+                <h4 style="margin-bottom:8px; margin-top:16px; color:#222;">Message</h4>
+                <div style="padding:12px; background:#f9f9f9; border-radius:6px; border:1px solid #f0f0f0; color:#333;">${nl2br(d.message)}</div>
+                <p style="margin-top:18px; color:#666;">Please follow up with the submitter as necessary.</p>`
+        }),
+        text: (d) => textLayout(`A new form submission was received on ${d.receivedAt}.
+
+Name/Company Name: ${d.cNameOrName}
+Email: ${d.email}
+Phone: ${d.phone}
+Address: ${d.address}
+Message: ${d.message}
+
+Please review and respond as appropriate.`)
+    },
+    {
+        name: 'form.confirmation',
+        version: 1,
+        description: 'Sent to the submitter to confirm their contact form message was received',
+        sample: {
+            cNameOrName: 'Jane Doe',
+            message: 'Hello,\nI would like a quote for your services.',
+            receivedAt: '1/1/2025, 10:00:00 AM',
+            contactEmail: 'hello@example.com'
+        },
+        subject: () => 'Thank you for contacting us',
+        html: (d) => layout({
+            title: `Thank you for contacting ${BRAND_NAME}`,
+            accent: 'info',
+            body: html`
+                <p style="margin:0 0 12px;">Dear ${d.cNameOrName},</p>
+                <p style="margin:0 0 12px;">We have received your message submitted on <strong>${d.receivedAt}</strong>. Our team will review your submission and respond within <strong>2 business days</strong>.</p>
+                <h4 style="margin-bottom:8px; margin-top:12px; color:#222;">Your message</h4>
+                <div style="padding:12px; background:#f7fbff; border-radius:6px; border:1px solid #e6f2ff; color:#333;">${nl2br(d.message)}</div>
+                <p style="margin-top:16px; color:#666;">If you need immediate assistance, reply to this email or contact us at <a href="${safeUrl(`mailto:${d.contactEmail}`)}" style="color:#0066cc; text-decoration:none;">${d.contactEmail}</a>.</p>
+                <p style="margin-top:12px;">Regards,<br/><strong>${BRAND_NAME} Team</strong></p>`
+        }),
+        text: (d) => textLayout(`Dear ${d.cNameOrName},
+
+Thank you for reaching out to us. We have received your message submitted on ${d.receivedAt} and will respond to you within 2 business days. Below is a copy of your submission:
+
+Message: ${d.message}
+
+If you need immediate assistance, please reply to this email or contact us at ${d.contactEmail}.
+
+Regards,
+The Team`)
+    },
+    {
+        name: 'form.reply',
+        version: 1,
+        description: 'An admin reply to a contact form submission',
+        sample: {
+            cNameOrName: 'Jane Doe',
+            message: 'Thanks for getting in touch.\nWe will send the quote tomorrow.',
+            adminName: 'Alex Admin'
+        },
+        subject: () => `Re: Your message to ${BRAND_NAME}`,
+        html: (d) => layout({
+            title: `Message from ${BRAND_NAME}`,
+            body: html`
+                <p style="margin:0 0 12px;">Dear ${d.cNameOrName},</p>
+                <div style="margin:0 0 12px;">${nl2br(d.message)}</div>
+                <p style="margin-top:16px;">Regards,<br/><strong>${d.adminName}</strong><br/>${BRAND_NAME} Team</p>`
+        }),
+        text: (d) => textLayout(`Dear ${d.cNameOrName},
+
+${d.message}
+
+Regards,
+${d.adminName}
+${BRAND_NAME} Team`)
+    }
+];
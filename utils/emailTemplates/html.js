@@ -0,0 +1,44 @@
+// Auto-escaping HTML for email templates. Values interpolated into the `html`
+// tagged template are escaped unless they are already SafeHtml (the result of
+// another `html` template, or explicitly trusted with `raw`).
+
+export class SafeHtml {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+export const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Trust a string as HTML. Only for markup the application or an admin wrote.
+export const raw = (value) => new SafeHtml(value);
+
+const toHtml = (value) => {
+    if (value === undefined || value === null || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    return escapeHtml(value);
+};
+
+export function html(strings, ...values) {
+    let out = strings[0];
+    for (let i = 0; i < values.length; i++) {
+        out += toHtml(values[i]) + strings[i + 1];
+    }
+    return new SafeHtml(out);
+}
+
+// Escaped text with line breaks kept
+export const nl2br = (text) => raw(escapeHtml(text === undefined || text === null ? '' : text).replace(/\r?\n/g, '<br/>'));
+
+// Only http(s) and mailto links are allowed in href attributes
+export const safeUrl = (url) => (/^(https?:|mailto:)/i.test(String(url || '').trim()) ? String(url).trim() : '#');
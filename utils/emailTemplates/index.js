@@ -0,0 +1,53 @@
+import formTemplates from './forms.js';
+import subscriberTemplates from './subscribers.js';
+import blogTemplates from './blogs.js';
+import authTemplates from './auth.js';
+
+// Registry of transactional email templates. Each template has a name, a
+// version, sample data for previews and subject/html/text renderers. A new
+// version is added alongside the old one rather than edited in place, so the
+// rendering of older versions can still be previewed; senders use the latest.
+
+const registry = new Map();
+
+for (const template of [...formTemplates, ...subscriberTemplates, ...blogTemplates, ...authTemplates]) {
+    if (!registry.has(template.name)) registry.set(template.name, new Map());
+    registry.get(template.name).set(template.version, template);
+}
+
+const latestVersion = (versions) => Math.max(...versions.keys());
+
+// Returns the template, or undefined when the name or version is unknown
+export function getTemplate(name, version) {
+    const versions = registry.get(name);
+    if (!versions) return undefined;
+    return versions.get(version === undefined ? latestVersion(versions) : Number(version));
+}
+
+export function listTemplates() {
+    return [...registry.entries()].map(([name, versions]) => {
+        const latest = versions.get(latestVersion(versions));
+        return {
+            name,
+            description: latest.description,
+            latestVersion: latest.version,
+            versions: [...versions.keys()].sort((a, b) => a - b)
+        };
+    });
+}
+
+// Render a template to { subject, html, text } ready to pass to sendEmail
+export function renderTemplate(name, data = {}, { version } = {}) {
+    const template = getTemplate(name, version);
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}${version !== undefined ? ` v${version}` : ''}`);
+    }
+
+    return {
+        // Header values must stay on one line
+        subject: String(template.subject(data)).replace(/[\r\n]+/g, ' ').trim(),
+        html: String(template.html(data)),
+        text: template.text(data),
+        template: { name: template.name, version: template.version }
+    };
+}
@@ -0,0 +1,45 @@
+import { html } from './html.js';
+
+// Shared branded layout: coloured header, white content card and footer.
+// Every template renders its body into this so emails look alike.
+
+export const BRAND_NAME = 'kayceylon';
+
+const ACCENTS = {
+    primary: 'linear-gradient(90deg,#0d6efd,#6610f2)',
+    info: 'linear-gradient(90deg,#0066cc,#00aaff)',
+    danger: 'linear-gradient(90deg,#dc3545,#fd7e14)'
+};
+
+// A call-to-action button
+export const button = (href, label) => html`<p style="text-align:center; margin:18px 0;"><a href="${href}" style="background:#0d6efd; color:#fff; padding:10px 16px; border-radius:6px; text-decoration:none; display:inline-block; font-weight:600;">${label}</a></p>`;
+
+// `footer` is extra footer content such as an unsubscribe note
+export function layout({ title, subtitle, accent = 'primary', body, footer }) {
+    return html`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="margin:0; padding:16px 0; background:#f4f6f8;">
+    <div style="font-family: Arial, Helvetica, sans-serif; color:#333; max-width:620px; margin:0 auto;">
+        <div style="background:${ACCENTS[accent] || ACCENTS.primary}; padding:18px; color:#fff; text-align:center; border-radius:6px 6px 0 0;">
+            <h2 style="margin:0; font-size:18px;">${title}</h2>
+            ${subtitle ? html`<div style="font-size:12px; opacity:0.9; margin-top:6px;">${subtitle}</div>` : ''}
+        </div>
+        <div style="background:#fff; border:1px solid #e9ecef; border-top:none; padding:20px; color:#444; border-radius:0 0 6px 6px;">
+            ${body}
+        </div>
+        <div style="text-align:center; color:#888; font-size:12px; padding:12px 0;">
+            &copy; ${new Date().getFullYear()} ${BRAND_NAME}${footer ? html`<br/>${footer}` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+// Plain-text counterpart of the layout
+export function textLayout(body, footer) {
+    return `${body.trim()}
+
+--
+${BRAND_NAME}${footer ? `\n${footer}` : ''}`;
+}
@@ -0,0 +1,99 @@
+import { html, raw, safeUrl } from './html.js';
+import { layout, textLayout, button, BRAND_NAME } from './layout.js';
+
+const unsubscribeFooter = (d) => html`You are receiving this email because you subscribed to ${BRAND_NAME} updates. <a href="${safeUrl(d.unsubscribeUrl)}" style="color:#888;">Unsubscribe</a>`;
+const unsubscribeText = (d) => `You are receiving this email because you subscribed to ${BRAND_NAME} updates.\nUnsubscribe: ${d.unsubscribeUrl}`;
+
+export default [
+    {
+        name: 'subscription.confirm',
+        version: 1,
+        description: 'Double opt-in link sent when someone subscribes',
+        sample: { confirmUrl: 'https://example.com/confirm-subscription/TOKEN', hours: 48 },
+        subject: () => `Please confirm your subscription — ${BRAND_NAME}`,
+        html: (d) => layout({
+            title: 'Confirm your subscription',
+            body: html`
+                <p style="margin:0 0 12px;">Hello,</p>
+                <p style="margin:0 0 12px;">Someone, hopefully you, asked to subscribe this email address to <strong>${BRAND_NAME}</strong> updates. Please confirm within ${d.hours} hours.</p>
+                ${button(safeUrl(d.confirmUrl), 'Confirm Subscription')}
+                <p style="margin:0; color:#666; font-size:13px;">If you did not ask to subscribe, ignore this email and you will not hear from us again.</p>`
+        }),
+        text: (d) => textLayout(`Hello,
+
+Someone, hopefully you, asked to subscribe this email address to ${BRAND_NAME} updates.
+
+Please confirm your subscription by opening the link below within ${d.hours} hours:
+${d.confirmUrl}
+
+If you did not ask to subscribe, ignore this email and you will not hear from us again.`)
+    },
+    {
+        name: 'subscription.welcome',
+        version: 1,
+        description: 'Welcome email sent once a subscription is confirmed',
+        sample: { unsubscribeUrl: 'https://example.com/unsubscribe/TOKEN', contactEmail: 'hello@example.com' },
+        subject: () => `Subscription Confirmed — ${BRAND_NAME}`,
+        html: (d) => layout({
+            title: `Welcome to ${BRAND_NAME}`,
+            body: html`
+                <p style="margin:0 0 12px;">Hello,</p>
+                <p style="margin:0 0 12px;">Thank you for subscribing to <strong>${BRAND_NAME}</strong>. You have been added to our mailing list and will receive occasional, carefully selected updates about new articles, guides, and announcements.</p>
+                <p style="margin:0 0 12px; color:#666; font-size:14px;">You can <a href="${safeUrl(d.unsubscribeUrl)}" style="color:#0d6efd; text-decoration:none;">unsubscribe</a> at any time. For any other questions, contact us at <a href="${safeUrl(`mailto:${d.contactEmail}`)}" style="color:#0d6efd; text-decoration:none;">${d.contactEmail}</a>.</p>
+                <p style="margin:0 0 12px; color:#666; font-size:14px;">We respect your privacy and will never share your contact information.</p>
+                <p style="margin-top:16px;">Sincerely,<br/><strong>${BRAND_NAME} Team</strong></p>`,
+            footer: unsubscribeFooter(d)
+        }),
+        text: (d) => textLayout(`Hello,
+
+Thank you for subscribing to ${BRAND_NAME}. You have been added to our mailing list and will receive occasional, carefully selected updates about new articles, guides, and announcements.
+
+You can unsubscribe at any time using this link:
+${d.unsubscribeUrl}
+
+For any other questions, contact us at ${d.contactEmail}.
+
+We respect your privacy and will never share your contact information.
+
+Sincerely,
+${BRAND_NAME} Team`, unsubscribeText(d))
+    },
+    {
+        name: 'blog.notification',
+        version: 1,
+        description: 'Sent to subscribers when a blog post is published',
+        sample: {
+            title: 'Ten tips for <better> gardens',
+            link: 'https://example.com/blog/ten-tips',
+            unsubscribeUrl: 'https://example.com/unsubscribe/TOKEN'
+        },
+        subject: (d) => `New Blog Published: ${d.title}`,
+        html: (d) => layout({
+            title: d.title,
+            accent: 'info',
+            body: html`
+                <p style="color:#444; margin:0 0 12px;">A new blog post has been published. Read it here:</p>
+                <p style="margin:0 0 12px;"><a href="${safeUrl(d.link)}" style="color:#0066cc; text-decoration:none;">${d.link}</a></p>`,
+            footer: unsubscribeFooter(d)
+        }),
+        text: (d) => textLayout(`A new blog titled "${d.title}" has been published: ${d.link}`, unsubscribeText(d))
+    },
+    {
+        name: 'newsletter.campaign',
+        version: 1,
+        description: 'Wraps an admin-written newsletter campaign. The campaign HTML is trusted as written.',
+        sample: {
+            subject: 'Our spring newsletter',
+            html: '<h3>Spring is here</h3><p>Here is what we have been working on.</p>',
+            text: 'Spring is here\n\nHere is what we have been working on.',
+            unsubscribeUrl: 'https://example.com/unsubscribe/TOKEN'
+        },
+        subject: (d) => d.subject,
+        html: (d) => layout({
+            title: d.subject,
+            body: raw(d.html),
+            footer: unsubscribeFooter(d)
+        }),
+        text: (d) => textLayout(d.text, unsubscribeText(d))
+    }
+];
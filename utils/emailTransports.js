@@ -0,0 +1,97 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+import { BRAND_NAME } from './emailTemplates/layout.js';
+
+// Mail transports selected with EMAIL_TRANSPORT:
+// - smtp (default): a real mail server (EMAIL_HOST, EMAIL_PORT, ...)
+// - json: writes each message as a JSON file to EMAIL_FILE_DIR
+// - console: prints a summary and the text body to the console
+// - memory: keeps messages in memory so tests can assert against them
+// Each transport has its own sender identity; EMAIL_FROM overrides it.
+
+export const TRANSPORTS = ['smtp', 'json', 'console', 'memory'];
+
+// Messages captured by the memory transport, oldest first
+const captured = [];
+
+export const getSentEmails = () => [...captured];
+
+export const clearSentEmails = () => {
+    captured.length = 0;
+};
+
+const smtpTransport = () => {
+    const port = parseInt(process.env.EMAIL_PORT, 10) || 465;
+    const transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        // Implicit TLS on 465, STARTTLS on other ports unless EMAIL_SECURE says otherwise
+        secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+        // Reuse a few connections instead of opening one per email, which
+        // providers throttle during campaign and outbox bursts
+        pool: true,
+        maxConnections: parseInt(process.env.EMAIL_POOL_SIZE, 10) || 3,
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS,
+        },
+    });
+
+    return {
+        name: 'smtp',
+        from: `"${BRAND_NAME}" <${process.env.EMAIL_USER}>`,
+        transporter,
+        verify: () => transporter.verify()
+    };
+};
+
+// The local transports render the message with nodemailer's JSON transport, so
+// headers and bodies look exactly as they would over SMTP, then hand it on
+const localTransport = (name, deliver) => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return {
+        name,
+        from: `"${BRAND_NAME} (${name})" <${process.env.EMAIL_USER || 'no-reply@localhost'}>`,
+        transporter: {
+            sendMail: async (mailOptions) => {
+                const info = await transporter.sendMail(mailOptions);
+                await deliver(JSON.parse(info.message), info);
+                return info;
+            }
+        },
+        verify: async () => {}
+    };
+};
+
+const jsonTransport = () => {
+    const dir = process.env.EMAIL_FILE_DIR || 'mail-output';
+    return localTransport('json', async (message, info) => {
+        await fs.mkdir(dir, { recursive: true });
+        const id = String(info.messageId).replace(/[^\w.-]+/g, '');
+        await fs.writeFile(path.join(dir, `${Date.now()}-${id}.json`), JSON.stringify(message, null, 2));
+    });
+};
+
+const consoleTransport = () => localTransport('console', async (message) => {
+    const to = [].concat(message.to || []).map((a) => a.address).join(', ');
+    console.log(`[emailService] ---- email to ${to} ----`);
+    console.log(`Subject: ${message.subject}`);
+    if (message.text) console.log(message.text);
+    console.log('[emailService] ---- end of email ----');
+});
+
+const memoryTransport = () => localTransport('memory', async (message) => {
+    captured.push(message);
+});
+
+export function createTransport(name) {
+    switch (name) {
+        case 'smtp': return smtpTransport();
+        case 'json': return jsonTransport();
+        case 'console': return consoleTransport();
+        case 'memory': return memoryTransport();
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${TRANSPORTS.join(', ')}`);
+    }
+}
@@ -0,0 +1,67 @@
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Streams query results to the client as CSV or NDJSON without loading the
+// collection into memory. `columns` is a list of [header, getter] pairs.
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Quote a CSV cell and neutralise spreadsheet formulas (CSV injection)
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export async function streamExport(res, cursor, { format, filename, columns }) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.status(200);
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}-${stamp}.${extension}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    // BOM so spreadsheet apps detect UTF-8
+    const csvHeader = `\uFEFF${columns.map(([header]) => csvCell(header)).join(',')}\r\n`;
+
+    let first = true;
+    const serialise = new Transform({
+        writableObjectMode: true,
+        transform(doc, encoding, callback) {
+            let chunk = '';
+            if (format === 'csv') {
+                if (first) chunk += csvHeader;
+                chunk += `${columns.map(([, get]) => csvCell(get(doc))).join(',')}\r\n`;
+            } else {
+                const row = Object.fromEntries(columns.map(([header, get]) => [header, get(doc) ?? null]));
+                chunk += `${JSON.stringify(row)}\n`;
+            }
+            first = false;
+            callback(null, chunk);
+        },
+        flush(callback) {
+            // An empty CSV export still gets its header row
+            if (format === 'csv' && first) {
+                return callback(null, csvHeader);
+            }
+            callback();
+        }
+    });
+
+    try {
+        await pipeline(cursor, serialise, res);
+    } catch (err) {
+        // Headers are already sent, so the error handler cannot reply; cut the download short
+        console.error(`[exporter] Export of ${filename} failed:`, err && err.message ? err.message : err);
+        res.destroy(err);
+    }
+}
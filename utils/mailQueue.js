@@ -0,0 +1,126 @@
+import Outbox from '../models/outboxModel.js';
+import sendEmail from './emailService.js';
+
+// MongoDB-backed outbox for email that does not need to reach the recipient
+// before the HTTP response. Requests enqueue messages and return; the worker
+// below delivers them, retrying failures with exponential backoff.
+
+const INSERT_CHUNK_SIZE = 500;
+// How long a worker owns a message it is sending
+const LEASE_MS = 2 * 60 * 1000;
+// Retry delays: 30s, 1m, 2m, 4m, ... capped at one hour
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+export function retryDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+// Process the outbox on the next tick without making the caller wait
+const wakeWorker = () => {
+    setImmediate(() => {
+        processOutbox().catch((err) => {
+            console.error('[mailQueue] Error processing outbox:', err && err.message ? err.message : err);
+        });
+    });
+};
+
+// Enqueue one message (sendEmail options) or an array of them, then wake the
+// worker. Resolves once the messages are stored.
+export async function enqueueEmail(category, mail) {
+    const messages = Array.isArray(mail) ? mail : [mail];
+
+    for (let i = 0; i < messages.length; i += INSERT_CHUNK_SIZE) {
+        const docs = messages.slice(i, i + INSERT_CHUNK_SIZE).map((m) => ({ category, mail: m }));
+        // eslint-disable-next-line no-await-in-loop
+        await Outbox.insertMany(docs);
+    }
+
+    wakeWorker();
+}
+
+// Take the lease on the next message that is due, or was left in `sending`
+const claimNext = async () => {
+    const now = new Date();
+    return await Outbox.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lt: now } }
+            ]
+        },
+        { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+const deliver = async (message) => {
+    try {
+        await sendEmail(message.toObject().mail);
+        await Outbox.updateOne(
+            { _id: message._id },
+            {
+                $set: { status: 'sent', sentAt: new Date() },
+                $inc: { attempts: 1 },
+                $unset: { lockedUntil: 1, nextAttemptAt: 1 }
+            }
+        );
+    } catch (err) {
+        const attempts = message.attempts + 1;
+        const dead = attempts >= message.maxAttempts;
+        const cause = err && err.cause ? err.cause : err;
+
+        await Outbox.updateOne(
+            { _id: message._id },
+            {
+                $set: {
+                    status: dead ? 'dead' : 'pending',
+                    attempts,
+                    lastError: String(cause && cause.message ? cause.message : cause),
+                    ...(dead ? {} : { nextAttemptAt: new Date(Date.now() + retryDelay(attempts)) })
+                },
+                $unset: { lockedUntil: 1, ...(dead ? { nextAttemptAt: 1 } : {}) }
+            }
+        );
+
+        if (dead) {
+            console.error(`[mailQueue] Message ${message._id} (${message.category}) failed ${attempts} times and was moved to the dead letters`);
+        }
+    }
+};
+
+let processing = false;
+
+// Deliver every message that is due. Called on an interval from server.js and
+// whenever something is enqueued.
+export async function processOutbox() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        for (;;) {
+            // eslint-disable-next-line no-await-in-loop
+            const message = await claimNext();
+            if (!message) break;
+            // eslint-disable-next-line no-await-in-loop
+            await deliver(message);
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+// Put messages back in the queue for immediate delivery with a fresh set of attempts.
+// Only dead or pending messages qualify; a status in `filter` narrows that further.
+export async function requeue(filter) {
+    const result = await Outbox.updateMany(
+        { status: { $in: ['dead', 'pending'] }, ...filter },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }, $unset: { lockedUntil: 1 } }
+    );
+
+    if (result.modifiedCount > 0) {
+        wakeWorker();
+    }
+
+    return result.modifiedCount;
+}
@@ -0,0 +1,24 @@
+// Minimal in-process cache with a per-entry time to live.
+// Fine for a single server; every instance keeps its own copy.
+export function createCache(ttlMs) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        set(key, value) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            return value;
+        },
+        clear() {
+            entries.clear();
+        }
+    };
+}
@@ -14,4 +14,16 @@ const fileFilter = (req, file, cb) => {
 
 const upload = multer({ storage, fileFilter });
 
-export default upload;
\ No newline at end of file
+export default upload;
+
+// CSV uploads (subscriber import) are parsed in memory, so keep them small
+const csvFileFilter = (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext !== '.csv') {
+        cb(new Error('Only CSV files are allowed'), false);
+    } else {
+        cb(null, true);
+    }
+};
+
+export const csvUpload = multer({ storage, fileFilter: csvFileFilter, limits: { fileSize: 2 * 1024 * 1024 } });
@@ -0,0 +1,49 @@
+// Helpers for turning query-string parameters into MongoDB queries
+
+// Parse a query string value as a date, returning undefined when invalid
+export function parseDate(value) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Escape user input for use inside a regular expression
+export function escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// page/limit with sane defaults and an upper bound on limit
+export function parsePagination(query, { defaultLimit = 20, maxLimit = 100 } = {}) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+// Opaque cursors encode the sort value and _id of the last item on a page
+export function encodeCursor(value, id) {
+    const raw = value instanceof Date ? value.toISOString() : String(value);
+    return Buffer.from(JSON.stringify([raw, String(id)])).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof value !== 'string' || !/^[a-f0-9]{24}$/i.test(id)) return null;
+        return { value, id };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Condition selecting the items after a cursor for a { field, _id } sort in
+// the given direction (-1 newest first, 1 oldest first)
+export function cursorCondition(field, cursor, direction, cast = (v) => v) {
+    const op = direction === -1 ? '$lt' : '$gt';
+    const value = cast(cursor.value);
+    return {
+        $or: [
+            { [field]: { [op]: value } },
+            { [field]: value, _id: { [op]: cursor.id } }
+        ]
+    };
+}
@@ -0,0 +1,81 @@
+import { escapeHtml } from './emailTemplates/html.js';
+import { escapeRegex } from './queryHelpers.js';
+
+// Highlighted excerpts for full-text search results. MongoDB does not say where
+// a document matched, so the terms are located again in the text. Text search
+// stems words ("gardens" matches "garden"), so matching is done on a rough stem
+// and any word starting with it is highlighted.
+
+const MAX_TERMS = 10;
+
+// Rough English stem: enough to highlight "garden" for "gardening" or "gardens"
+const stem = (word) => {
+    if (word.length > 5 && /(ing|ed)$/.test(word)) return word.replace(/(ing|ed)$/, '');
+    if (word.length > 3 && word.endsWith('s')) return word.slice(0, -1);
+    return word;
+};
+
+// Terms of a $text search string: "quoted phrases" and single words. Negated
+// terms (-word) are left out since they never appear in a match.
+export function parseSearchTerms(search) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+    while ((match = pattern.exec(String(search || ''))) !== null) {
+        const negated = match[1] || match[3];
+        const value = (match[2] || match[4] || '').toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        if (negated || value.length < 2) continue;
+        terms.push(match[2] ? value : stem(value));
+    }
+    return [...new Set(terms)].slice(0, MAX_TERMS);
+}
+
+// Regex matching any term at the start of a word, through to the end of that word
+const termsPattern = (terms) => {
+    const alternatives = [...terms]
+        .sort((a, b) => b.length - a.length)
+        .map((term) => escapeRegex(term).replace(/\s+/g, '\\s+'));
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+// Plain-text opening of `text`, cut at a word boundary, for listings
+export function plainExcerpt(text, maxLength = 200) {
+    const source = String(text || '').replace(/\s+/g, ' ').trim();
+    if (source.length <= maxLength) return source;
+    const lastSpace = source.lastIndexOf(' ', maxLength);
+    return `${source.slice(0, lastSpace > 0 ? lastSpace : maxLength)}…`;
+}
+
+// Up to `maxLength` characters of `text` around the first match, HTML-escaped,
+// with every match wrapped in <mark>. Falls back to the start of the text.
+export function highlightExcerpt(text, terms, maxLength = 240) {
+    const source = String(text || '').replace(/\s+/g, ' ').trim();
+    const pattern = terms.length > 0 ? termsPattern(terms) : null;
+
+    let start = 0;
+    const first = pattern ? source.search(pattern) : -1;
+    if (first > maxLength / 4) {
+        // Show some context before the first match, starting on a word
+        start = source.indexOf(' ', first - Math.floor(maxLength / 4)) + 1;
+    }
+    let end = Math.min(source.length, start + maxLength);
+    if (end < source.length) {
+        const lastSpace = source.lastIndexOf(' ', end);
+        if (lastSpace > start) end = lastSpace;
+    }
+
+    const window = source.slice(start, end);
+    let excerpt = '';
+    if (pattern) {
+        let last = 0;
+        for (const match of window.matchAll(pattern)) {
+            excerpt += escapeHtml(window.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        excerpt += escapeHtml(window.slice(last));
+    } else {
+        excerpt = escapeHtml(window);
+    }
+
+    return `${start > 0 ? '…' : ''}${excerpt}${end < source.length ? '…' : ''}`;
+}
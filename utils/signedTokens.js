@@ -0,0 +1,25 @@
+import jwt from 'jsonwebtoken';
+
+// Signed, purpose-bound tokens for links in emails (subscription confirmation,
+// unsubscribe, ...). The `purpose` claim stops a token minted for one link from
+// being accepted by another, and `protect` rejects any token carrying it.
+
+const secret = () => process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET;
+
+export function signToken(purpose, payload, expiresIn) {
+    return jwt.sign(
+        { ...payload, purpose },
+        secret(),
+        expiresIn ? { expiresIn } : undefined
+    );
+}
+
+// Returns the payload, or null when the token is invalid, expired or for another purpose
+export function verifyToken(purpose, token) {
+    try {
+        const decoded = jwt.verify(String(token), secret());
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (err) {
+        return null;
+    }
+}
@@ -0,0 +1,10 @@
+// Turn a title into a URL slug: "Crème Brûlée & Co!" -> "creme-brulee-co"
+export default function slugify(text, maxLength = 80) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, maxLength)
+        .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,64 @@
+// Line-based diff of two texts using the longest common subsequence.
+// Returns hunks of { type: 'equal' | 'added' | 'removed', lines: [...] }.
+
+// Above this many line pairs the LCS table gets too large; the texts are then
+// reported as fully replaced
+const MAX_CELLS = 4000000;
+
+const toLines = (text) => (text === undefined || text === null || text === '' ? [] : String(text).split(/\r?\n/));
+
+export function diffLines(before, after) {
+    const a = toLines(before);
+    const b = toLines(after);
+
+    // Common lines at either end need no table
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+    const midA = a.slice(head, a.length - tail);
+    const midB = b.slice(head, b.length - tail);
+    const ops = [];
+    const push = (type, line) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) last.lines.push(line);
+        else ops.push({ type, lines: [line] });
+    };
+
+    a.slice(0, head).forEach((line) => push('equal', line));
+
+    if ((midA.length + 1) * (midB.length + 1) > MAX_CELLS) {
+        midA.forEach((line) => push('removed', line));
+        midB.forEach((line) => push('added', line));
+    } else {
+        // lcs[i][j] = length of the LCS of midA[i:] and midB[j:]
+        const n = midA.length;
+        const m = midB.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && midA[i] === midB[j]) {
+                push('equal', midA[i]);
+                i++;
+                j++;
+            } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                push('removed', midA[i]);
+                i++;
+            } else {
+                push('added', midB[j]);
+                j++;
+            }
+        }
+    }
+
+    a.slice(a.length - tail).forEach((line) => push('equal', line));
+    return ops;
+}
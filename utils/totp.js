@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password and similar apps.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character in secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// HOTP value (RFC 4226) for a given counter
+function hotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(code % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Current 30 second time step
+export function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+export function generateToken(secret, step = currentStep()) {
+    return hotp(secret, step);
+}
+
+// Verify a code, allowing `window` steps of clock drift either side.
+// Returns the matched time step (so callers can reject reuse) or null.
+export function verifyToken(secret, token, window = 1) {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const step = currentStep();
+    for (let i = -window; i <= window; i++) {
+        const candidate = hotp(secret, step + i);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+            return step + i;
+        }
+    }
+    return null;
+}
+
+// otpauth:// URI understood by authenticator apps (usually rendered as a QR code)
+export function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}